@@ -4,7 +4,237 @@
 // There are various equivalent ways to declare your Docusaurus config.
 // See: https://docusaurus.io/docs/api/docusaurus-config
 
+import { fileURLToPath } from 'url';
 import { themes as prismThemes } from 'prism-react-renderer';
+import docsLintPlugin from './plugins/docs-lint/index.js';
+import docsOverviewPlugin from './plugins/docs-overview/index.js';
+import eventDocsPlugin from './plugins/event-docs/index.js';
+import openApiDocsPlugin from './plugins/openapi-docs/index.js';
+import operationMapPlugin, { remarkMethodEquivalents } from './plugins/operation-map/index.js';
+import printDocsPlugin from './plugins/print-docs/index.js';
+import pythonDataclassesPlugin, { remarkPythonFieldRefs } from './plugins/python-dataclasses/index.js';
+import releaseNotesPlugin, { releaseNotesPluginId } from './plugins/release-notes/index.js';
+import searchIndexPlugin from './plugins/search-index/index.js';
+import sidebarsCheckPlugin, { createSidebarItemsGenerator } from './plugins/sidebars/index.js';
+import xmlDocDocsPlugin, { remarkXref } from './plugins/xmldoc-docs/index.js';
+import { xmlDocFiles } from './xmldoc/files.js';
+import { parseAccessPolicy } from './src/auth/access.js';
+
+// Sign-in settings, resolved in the browser by src/auth/authConfig.js.
+// AUTH_PROVIDER picks the backend: 'msal' (Azure AD B2C), 'oidc' (any OpenID
+// Connect issuer) or 'mock' (offline fake users).
+// For 'msal', AUTH_ENV picks the B2C tenant; AUTH_TENANT, AUTH_POLICY and
+// AUTH_CLIENT_ID override single values so a build can target another tenant
+// without editing source. Staging and prod have no checked-in tenant or
+// client ID.
+const auth = {
+  provider: process.env.AUTH_PROVIDER || 'msal',
+  environment: process.env.AUTH_ENV || 'dev',
+  environments: {
+    dev: {
+      tenant: 'bioserob2cdev',
+      policy: 'b2c_1a_signup_signin',
+      clientId: '2af9b946-0d99-42e7-8a62-f3b74d1f6e53',
+    },
+    staging: {
+      policy: 'b2c_1a_signup_signin',
+    },
+    prod: {
+      policy: 'b2c_1a_signup_signin',
+    },
+  },
+  overrides: {
+    tenant: process.env.AUTH_TENANT,
+    policy: process.env.AUTH_POLICY,
+    clientId: process.env.AUTH_CLIENT_ID,
+  },
+  // 'redirect' leaves the page to sign in; 'popup' signs in from a popup
+  // window so the reader stays where they are (msal provider only)
+  interaction: process.env.AUTH_INTERACTION || 'redirect',
+  oidc: {
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+  },
+  mock: {
+    users: [
+      {
+        id: 'internal',
+        name: 'Ines Internal',
+        username: 'ines.internal@example.com',
+        claims: { roles: ['internal'], extension_Organization: 'Biosero' },
+      },
+      {
+        id: 'partner',
+        name: 'Pat Partner',
+        username: 'pat.partner@example.com',
+        claims: { roles: ['partner'], extension_Organization: 'Example Labs' },
+      },
+      {
+        id: 'reader',
+        name: 'Riley Reader',
+        username: 'riley.reader@example.com',
+        claims: { roles: [] },
+      },
+    ],
+  },
+  session: {
+    // Renew tokens in the background this long before they expire
+    refreshBeforeExpirySeconds: 300,
+    // Show the "session expiring" banner this long before expiry if the
+    // background renewal failed
+    warnBeforeExpirySeconds: 300,
+  },
+  // ID-token claims that carry the account's roles, groups and profile,
+  // first match wins
+  claims: {
+    roles: ['roles', 'extension_Roles'],
+    groups: ['groups'],
+    email: ['emails', 'email', 'preferred_username'],
+    organization: ['extension_Organization', 'organization', 'company'],
+  },
+  // Scopes requested for tokens sent to Biosero APIs by
+  // useAuthenticatedFetch, e.g. 'https://<tenant>.onmicrosoft.com/api/read'.
+  // Space- or comma-separated; empty falls back to the sign-in scopes.
+  apiScopes: (process.env.AUTH_API_SCOPES || '').split(/[\s,]+/).filter(Boolean),
+  // Linked from the "you don't have access" view
+  requestAccessUrl:
+    process.env.AUTH_REQUEST_ACCESS_URL || 'https://support.biosero.com',
+  // One of: error, warning, info, verbose, trace
+  logLevel: process.env.AUTH_LOG_LEVEL || 'warning',
+  // Enables the /auth-diagnostics page for support troubleshooting
+  diagnostics: process.env.AUTH_DIAGNOSTICS === 'true',
+};
+
+// Servers offered by the Try it consoles (src/components/TryIt), from
+// TRY_IT_SERVERS, space- or comma-separated. Readers can always enter another.
+const tryIt = {
+  servers: (process.env.TRY_IT_SERVERS || 'http://localhost:8105/').split(/[\s,]+/).filter(Boolean),
+};
+
+// "Was this page helpful?" under every doc page, see src/components/PageFeedback.
+// Submissions are POSTed as JSON to FEEDBACK_ENDPOINT, which also lists them
+// for /feedback-report on GET. `npm run feedback-server` is a file-backed
+// stand-in for development. Without an endpoint the widget is hidden.
+const feedback = {
+  endpoint: process.env.FEEDBACK_ENDPOINT || '',
+  // Who can open /feedback-report, as an access policy like `access` of the
+  // docs instances below. Readers always have to sign in.
+  reportAccess: process.env.FEEDBACK_REPORT_ACCESS || 'role:internal',
+};
+
+// Absolute path of a file in the site, for remark plugins, which get no
+// site context
+const sitePath = (file) => fileURLToPath(new URL(file, import.meta.url));
+
+// One @docusaurus/plugin-content-docs instance per product. `label` names the
+// section wherever the site lists them, and `group` the product family it
+// belongs to, e.g. in the search filters. `access` is the
+// default policy for every doc in the instance: 'public', 'authenticated',
+// 'role:a,b' or 'group:a,b'. A doc can override it with `access:` in its
+// frontmatter; src/theme/DocItem/Layout applies the result.
+const docsInstances = [
+  {
+    id: 'csharp-sdk',
+    label: 'C# SDK',
+    group: 'SDK',
+    // The unreleased "Next" docs, served under /next. Releases are frozen with
+    // `docusaurus docs:version:csharp-sdk <version>`; the newest one is served
+    // at the instance root, and older ones get an "unmaintained" banner
+    // linking to the same page in the newest release.
+    path: 'docs/CSharp SDK',
+    routeBasePath: 'csharp-sdk',
+    sidebarPath: './sidebars-csharp.js',
+    access: 'role:partner,internal',
+    // [text](xref:<documentation ID>) links to the generated API reference
+    beforeDefaultRemarkPlugins: [
+      [
+        remarkXref,
+        {
+          files: xmlDocFiles.map(sitePath),
+          outputDir: sitePath('docs/CSharp SDK/api'),
+          docsDir: sitePath('docs/CSharp SDK'),
+        },
+      ],
+    ],
+  },
+  {
+    id: 'python-sdk',
+    label: 'Python SDK',
+    group: 'SDK',
+    // Versioned like csharp-sdk, on its own release line
+    path: 'docs/Python SDK',
+    routeBasePath: 'python-sdk',
+    sidebarPath: './sidebars.js',
+    access: 'role:partner,internal',
+  },
+  {
+    id: 'data-services',
+    label: 'Data Services',
+    group: 'Orchestrator',
+    path: 'docs/Orchestrator/Data Services',
+    routeBasePath: 'orchestrator/data-services',
+    sidebarPath: './sidebars-data-services.js',
+    access: 'public',
+  },
+  {
+    id: 'events',
+    label: 'Events',
+    group: 'Orchestrator',
+    path: 'docs/Orchestrator/Events',
+    routeBasePath: 'orchestrator/events',
+    sidebarPath: './sidebars-events.js',
+    access: 'role:partner,internal',
+  },
+  {
+    id: 'conductor',
+    label: 'Conductor',
+    group: 'Orchestrator',
+    path: 'docs/Orchestrator/Conductor',
+    routeBasePath: 'orchestrator/conductor',
+    sidebarPath: './sidebars.js',
+    access: 'role:internal',
+  },
+  {
+    id: 'designer',
+    label: 'Designer',
+    group: 'Orchestrator',
+    path: 'docs/Orchestrator/Designer',
+    routeBasePath: 'orchestrator/designer',
+    sidebarPath: './sidebars.js',
+    access: 'public',
+  },
+  {
+    id: 'scheduler',
+    label: 'Scheduler',
+    group: 'Orchestrator',
+    path: 'docs/Orchestrator/Scheduler',
+    routeBasePath: 'orchestrator/scheduler',
+    sidebarPath: './sidebars.js',
+    access: 'role:internal',
+  },
+  {
+    id: 'execution-agents',
+    label: 'Execution Agents',
+    group: 'Orchestrator',
+    path: 'docs/Orchestrator/Execution Agents',
+    routeBasePath: 'orchestrator/execution-agents',
+    sidebarPath: './sidebars.js',
+    access: 'public',
+  },
+];
+
+// Categories a doc can put itself in with `sidebar_category` front matter, in
+// the order sidebars show them. See plugins/sidebars/generator.js.
+const sidebarCategories = {
+  'getting-started': { label: 'Getting Started', icon: '🚀' },
+  'client-libraries': { label: 'Client Libraries', icon: '📚' },
+};
+
+// Python modules whose dataclasses and enums are the source of truth for the
+// models we document. plugins/python-dataclasses renders their field tables,
+// plugins/event-docs checks the event schemas against them, and every docs
+// instance fails to build if a doc references a field they do not have.
+const pythonSources = ['Module Status Update Event.py'];
 
 /** @type {import('@docusaurus/types').Config} */
 const config = {
@@ -31,6 +261,19 @@ const config = {
 
   onBrokenLinks: 'throw',
 
+  customFields: {
+    auth,
+    feedback,
+    tryIt,
+    docsSections: docsInstances.map(({ id, label, group, routeBasePath, access }) => ({
+      id,
+      label,
+      group,
+      routeBasePath,
+      access,
+    })),
+  },
+
   // Even if you don't use internationalization, you can use this field to set
   // useful metadata like html lang.
   i18n: {
@@ -53,81 +296,143 @@ const config = {
   ],
 
   plugins: [
-    [
+    ...docsInstances.map(({ label, group, access, ...options }) => [
       '@docusaurus/plugin-content-docs',
       {
-        id: 'csharp-sdk',
-        path: 'docs/CSharp SDK',
-        routeBasePath: 'csharp-sdk',
-        sidebarPath: './sidebars-csharp.js',
+        editUrl: 'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/',
+        sidebarItemsGenerator: createSidebarItemsGenerator(sidebarCategories),
+        remarkPlugins: [
+          [
+            remarkPythonFieldRefs,
+            { sources: pythonSources.map(sitePath) },
+          ],
+          // "Equivalent in" rows under SDK method headings and REST
+          // operation titles, see plugins/operation-map
+          remarkMethodEquivalents,
+        ],
+        ...options,
+      },
+    ]),
+    // Release notes for every docs instance, with RSS and Atom feeds: one post
+    // per release in release-notes/<instance id>, named
+    // <date>-<version>.md with `version:` in its front matter. Instances
+    // without posts get no pages. Notes of an instance that needs sign-in get
+    // its `access` (see src/theme/BlogLayout) and no feeds, which anyone
+    // could read.
+    ...docsInstances.map(({ id, label, access }) => [
+      '@docusaurus/plugin-content-blog',
+      {
+        id: releaseNotesPluginId(id),
+        path: `release-notes/${id}`,
+        routeBasePath: `release-notes/${id}`,
+        blogTitle: `${label} release notes`,
+        blogDescription: `What changed in each release of the ${label}`,
+        blogSidebarTitle: 'All releases',
+        blogSidebarCount: 'ALL',
+        showReadingTime: false,
+        // Release notes are short enough to show in full in the list
+        onUntruncatedBlogPosts: 'ignore',
+        feedOptions: {
+          type: parseAccessPolicy(access).public ? ['rss', 'atom'] : null,
+          title: `${label} release notes`,
+          description: `What changed in each release of the ${label}`,
+        },
+        editUrl: 'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/',
+      },
+    ]),
+    // Endpoint reference for the data-services instance, generated from the
+    // checked-in spec. Its sidebar comes from sidebars-data-services.js.
+    [
+      openApiDocsPlugin,
+      {
+        specPath: 'openapi/data-services.json',
+        outputDir: 'docs/Orchestrator/Data Services/api',
         editUrl:
-          'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/',
+          'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/openapi/data-services.json',
       },
     ],
+    // Event type pages for the events instance, one per schema in
+    // schemas/events. Its sidebar comes from sidebars-events.js.
     [
-      '@docusaurus/plugin-content-docs',
+      eventDocsPlugin,
       {
-        id: 'python-sdk',
-        path: 'docs/Python SDK',
-        routeBasePath: 'python-sdk',
-        sidebarPath: './sidebars-python.js',
-        editUrl:
-          'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/',
+        schemasDir: 'schemas/events',
+        outputDir: 'docs/Orchestrator/Events/types',
+        guidesDir: 'docs/Orchestrator/Events/guides',
+        editUrl: 'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/schemas/events',
+        pythonSources,
       },
     ],
+    // C# API reference for the csharp-sdk instance. Its sidebar comes from
+    // sidebars-csharp.js.
     [
-      '@docusaurus/plugin-content-docs',
+      xmlDocDocsPlugin,
       {
-        id: 'data-services',
-        path: 'docs/Orchestrator/Data Services',
-        routeBasePath: 'orchestrator/data-services',
-        sidebarPath: './sidebars-data-services.js',
-        editUrl:
-          'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/',
+        files: xmlDocFiles,
+        outputDir: 'docs/CSharp SDK/api',
+        title: 'C# API Reference',
+        editUrl: 'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/xmldoc',
       },
     ],
+    // Checks the MDX source of every doc, see plugins/docs-lint/rules.js.
+    // 'error' fails the build, 'warn' only logs and 'off' skips the rule.
+    // Registered ahead of the plugins below that parse docs, so its report is
+    // the one shown when a doc is broken.
     [
-      '@docusaurus/plugin-content-docs',
+      docsLintPlugin,
       {
-        id: 'conductor',
-        path: 'docs/Orchestrator/Conductor',
-        routeBasePath: 'orchestrator/conductor',
-        sidebarPath: './sidebars-conductor.js',
-        editUrl:
-          'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/',
+        rules: {
+          'replacement-character': 'error',
+          'protected-tags': 'error',
+          anchors: 'error',
+          'fence-language': 'warn',
+          'access-intent': 'error',
+        },
       },
     ],
+    // Maps operations across the REST API and the SDKs for the equivalents
+    // rows and the /coverage page. The build fails when operation-map.json
+    // and the documented methods disagree.
     [
-      '@docusaurus/plugin-content-docs',
+      operationMapPlugin,
       {
-        id: 'designer',
-        path: 'docs/Orchestrator/Designer',
-        routeBasePath: 'orchestrator/designer',
-        sidebarPath: './sidebars-designer.js',
-        editUrl:
-          'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/',
+        mapPath: 'operation-map.json',
+        specPath: 'openapi/data-services.json',
+        surfaces: [
+          { id: 'rest', label: 'REST', docsPluginId: 'data-services' },
+          { id: 'python', label: 'Python', docsPluginId: 'python-sdk' },
+          { id: 'csharp', label: 'C#', docsPluginId: 'csharp-sdk' },
+        ],
       },
     ],
+    // Offline search index over every docs instance, for src/theme/SearchBar
+    searchIndexPlugin,
+    // Product cards and recently updated pages for the homepage
+    docsOverviewPlugin,
+    // Posts, feeds and <Since> badges of every instance for /release-notes
+    releaseNotesPlugin,
+    // Fails the build on docs placed twice or missing from the sidebars
+    sidebarsCheckPlugin,
+    // A print page of every docs instance at <routeBasePath>/print.
+    // PRINT_PDF=true also renders each page to PDF with the browser at
+    // CHROME_PATH. PRINT_DISTRIBUTION=internal includes the docs and
+    // <Protected> content that need sign-in, as PDF only; never deploy such a
+    // build publicly.
     [
-      '@docusaurus/plugin-content-docs',
+      printDocsPlugin,
       {
-        id: 'scheduler',
-        path: 'docs/Orchestrator/Scheduler',
-        routeBasePath: 'orchestrator/scheduler',
-        sidebarPath: './sidebars-scheduler.js',
-        editUrl:
-          'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/',
+        distribution: process.env.PRINT_DISTRIBUTION || 'public',
+        pdf: process.env.PRINT_PDF === 'true',
+        chromePath: process.env.CHROME_PATH,
       },
     ],
+    // Field tables for the dataclasses in pythonSources, imported by docs as
+    // @site/src/generated/python-dataclasses/<ClassName>.mdx
     [
-      '@docusaurus/plugin-content-docs',
+      pythonDataclassesPlugin,
       {
-        id: 'execution-agents',
-        path: 'docs/Orchestrator/Execution Agents',
-        routeBasePath: 'orchestrator/execution-agents',
-        sidebarPath: './sidebars-execution-agents.js',
-        editUrl:
-          'https://github.com/pwerner-biosero/biosero-api-docs/edit/master/',
+        sources: pythonSources,
+        outputDir: 'src/generated/python-dataclasses',
       },
     ],
   ],
@@ -154,13 +459,13 @@ const config = {
             items: [
               {
                 type: 'docSidebar',
-                sidebarId: 'csharpSidebar',
+                sidebarId: 'docsSidebar',
                 docsPluginId: 'csharp-sdk',
                 label: 'C#',
               },
               {
                 type: 'docSidebar',
-                sidebarId: 'pythonSidebar',
+                sidebarId: 'docsSidebar',
                 docsPluginId: 'python-sdk',
                 label: 'Python',
               },
@@ -173,36 +478,62 @@ const config = {
             items: [
               {
                 type: 'docSidebar',
-                sidebarId: 'dataServicesSidebar',
+                sidebarId: 'docsSidebar',
                 docsPluginId: 'data-services',
                 label: 'Data Services',
               },
               {
                 type: 'docSidebar',
-                sidebarId: 'conductorSidebar',
+                sidebarId: 'docsSidebar',
+                docsPluginId: 'events',
+                label: 'Events',
+              },
+              {
+                type: 'docSidebar',
+                sidebarId: 'docsSidebar',
                 docsPluginId: 'conductor',
                 label: 'Conductor',
               },
               {
                 type: 'docSidebar',
-                sidebarId: 'designerSidebar',
+                sidebarId: 'docsSidebar',
                 docsPluginId: 'designer',
                 label: 'Designer',
               },
               {
                 type: 'docSidebar',
-                sidebarId: 'schedulerSidebar',
+                sidebarId: 'docsSidebar',
                 docsPluginId: 'scheduler',
                 label: 'Scheduler',
               },
               {
                 type: 'docSidebar',
-                sidebarId: 'executionAgentsSidebar',
+                sidebarId: 'docsSidebar',
                 docsPluginId: 'execution-agents',
                 label: 'Execution Agents',
               },
             ],
           },
+          {
+            to: '/release-notes',
+            label: 'Release notes',
+            position: 'left',
+          },
+          // Each only shows on the pages of its own SDK
+          {
+            type: 'docsVersionDropdown',
+            docsPluginId: 'csharp-sdk',
+            position: 'right',
+          },
+          {
+            type: 'docsVersionDropdown',
+            docsPluginId: 'python-sdk',
+            position: 'right',
+          },
+          {
+            type: 'search',
+            position: 'right',
+          },
           // Auth actions will be handled by swizzled navbar component
           {
             type: 'custom-AuthNavbarItems',
@@ -240,6 +571,7 @@ const config = {
       prism: {
         theme: prismThemes.github,
         darkTheme: prismThemes.dracula,
+        additionalLanguages: ['csharp', 'bash'],
       },
     }),
 };
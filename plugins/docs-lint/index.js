@@ -0,0 +1,88 @@
+// @ts-check
+// Checks the source of every doc for mistakes the broken link checker cannot
+// see: in-page anchors that match no heading (protected pages render no
+// headings at build time), characters lost to an encoding error, unclosed
+// <Protected> tags, code blocks without a language, and docs that say
+// nothing about who may read them or let in more readers than their docs
+// instance. See RULES in ./rules.js.
+//
+// Each rule is reported as an error, which fails the build, as a warning, or
+// not at all, per the `rules` option.
+
+import fs from 'fs';
+import path from 'path';
+import logger from '@docusaurus/logger';
+import { aliasedSitePathToRelativePath } from '@docusaurus/utils';
+import {
+  RULES,
+  accessIntent,
+  anchors,
+  fenceLanguage,
+  instanceAccessIntent,
+  parseDoc,
+  protectedTags,
+  replacementCharacter,
+} from './rules.js';
+
+const DOCS_PLUGIN = 'docusaurus-plugin-content-docs';
+const SEVERITIES = ['error', 'warn', 'off'];
+
+// Findings of every rule for one doc: rule → { line, message }[]
+function lintDoc(source, policy, instancePolicy) {
+  const tree = parseDoc(source);
+  return {
+    'replacement-character': replacementCharacter(source),
+    'protected-tags': protectedTags(source),
+    anchors: tree ? anchors(tree) : [],
+    'fence-language': tree ? fenceLanguage(tree) : [],
+    'access-intent': accessIntent(policy, instancePolicy),
+  };
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {{ rules?: Record<string, 'error' | 'warn' | 'off'> }} options
+ *   Severity per rule name; rules left out are errors.
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function docsLintPlugin(context, options = {}) {
+  const rules = Object.fromEntries(RULES.map((rule) => [rule, options.rules?.[rule] ?? 'error']));
+  for (const [rule, severity] of Object.entries(options.rules ?? {})) {
+    if (!RULES.includes(rule)) throw new Error(`docs-lint: unknown rule "${rule}". Rules are ${RULES.join(', ')}.`);
+    if (!SEVERITIES.includes(severity)) throw new Error(`docs-lint: "${rule}" must be one of ${SEVERITIES.join(', ')}.`);
+  }
+  const sections = /** @type {{ id: string, access?: string }[]} */ (context.siteConfig.customFields?.docsSections ?? []);
+
+  return {
+    name: 'docs-lint',
+
+    async allContentLoaded({ allContent }) {
+      const findings = { error: [], warn: [] };
+      const report = (rule, location, list) => {
+        if (rules[rule] === 'off') return;
+        for (const { line, message } of list) findings[rules[rule]].push(`${location}:${line} ${message} (${rule})`);
+      };
+
+      for (const [pluginId, content] of Object.entries(allContent[DOCS_PLUGIN] ?? {})) {
+        const instanceAccess = sections.find((section) => section.id === pluginId)?.access;
+        // An instance-wide policy is checked once, not on each of its docs
+        if (instanceAccess !== undefined) {
+          report('access-intent', `docs instance "${pluginId}"`, instanceAccessIntent(instanceAccess));
+        }
+        for (const version of /** @type {any} */ (content).loadedVersions) {
+          for (const doc of version.docs) {
+            const relativePath = aliasedSitePathToRelativePath(doc.source);
+            const source = fs.readFileSync(path.resolve(context.siteDir, relativePath), 'utf8');
+            const findings = lintDoc(source, doc.frontMatter.access, instanceAccess);
+            for (const [rule, list] of Object.entries(findings)) report(rule, relativePath, list);
+          }
+        }
+      }
+
+      for (const warning of findings.warn) logger.warn(warning);
+      if (findings.error.length > 0) {
+        throw new Error(`Docs lint found ${findings.error.length} problem(s):\n- ${findings.error.join('\n- ')}`);
+      }
+    },
+  };
+}
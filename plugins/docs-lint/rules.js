@@ -0,0 +1,192 @@
+// @ts-check
+// The checks of plugins/docs-lint, each run on the MDX source of one doc.
+// Every rule returns its findings as `{ line, message }`.
+
+import { createSlugger, escapeMarkdownHeadingIds, parseMarkdownHeadingId, unwrapMdxCodeBlocks } from '@docusaurus/utils';
+import remarkGfm from 'remark-gfm';
+import remarkMdx from 'remark-mdx';
+import remarkParse from 'remark-parse';
+import { unified } from 'unified';
+import { parseAccessPolicy } from '../../src/auth/access.js';
+
+const FRONT_MATTER = /^---\r?\n[\s\S]*?\r?\n---(\r?\n|$)/;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+const PROTECTED_TAG = /<(\/?)Protected\b[^>]*?(\/?)>/g;
+const POLICY = /^(public|authenticated|(role|group):\s*[^,\s][^,]*(,\s*[^,\s][^,]*)*)$/;
+
+const processor = unified().use(remarkParse).use(remarkMdx).use(remarkGfm);
+
+/** Names of the rules, in the order findings are reported. */
+export const RULES = ['replacement-character', 'protected-tags', 'anchors', 'fence-language', 'access-intent'];
+
+// Lines of the source outside fenced code blocks, with inline code blanked
+// out, numbered from 1 including the front matter
+function proseLines(source) {
+  let fence = null;
+  return source.split(/\r?\n/).flatMap((text, i) => {
+    const marker = FENCE.exec(text)?.[1];
+    if (fence) {
+      if (marker && marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+      return [];
+    }
+    if (marker) {
+      fence = marker;
+      return [];
+    }
+    return [{ line: i + 1, text: text.replace(/`[^`]*`/g, (code) => ' '.repeat(code.length)) }];
+  });
+}
+
+// Plain text of a heading the way Docusaurus slugs it: JSX such as <Since>
+// adds nothing
+function textOf(node) {
+  if (typeof node.value === 'string') return node.value;
+  return (node.children ?? []).map(textOf).join('');
+}
+
+/**
+ * Parses a doc, or returns null when MDX cannot read it. The docs plugin
+ * reports that error itself when it compiles the page.
+ * @param {string} source
+ */
+export function parseDoc(source) {
+  // Front matter is blanked instead of cut, so node positions are source lines
+  const body = source.replace(FRONT_MATTER, (block) => block.replace(/[^\n]/g, ''));
+  try {
+    return processor.parse(escapeMarkdownHeadingIds(unwrapMdxCodeBlocks(body)));
+  } catch {
+    return null;
+  }
+}
+
+function visit(node, callback) {
+  callback(node);
+  for (const child of node.children ?? []) visit(child, callback);
+}
+
+/** U+FFFD, left behind where a file went through the wrong encoding. */
+export function replacementCharacter(source) {
+  return source.split(/\r?\n/).flatMap((text, i) =>
+    text.includes('�')
+      ? [{ line: i + 1, message: `contains "�" (U+FFFD), a character lost to an encoding error: "${text.trim()}".` }]
+      : [],
+  );
+}
+
+/** Every `<Protected>` is closed by a `</Protected>`, and only once. */
+export function protectedTags(source) {
+  const findings = [];
+  const open = [];
+  for (const { line, text } of proseLines(source)) {
+    for (const [, closing, selfClosing] of text.matchAll(PROTECTED_TAG)) {
+      if (selfClosing) continue;
+      if (!closing) open.push(line);
+      else if (open.length > 0) open.pop();
+      else findings.push({ line, message: '</Protected> closes no open <Protected>.' });
+    }
+  }
+  for (const line of open) findings.push({ line, message: '<Protected> is never closed.' });
+  return findings;
+}
+
+/**
+ * `[text](#anchor)` links, such as the hand-written tables of contents, point
+ * at a heading of the same page.
+ * @param {any} tree
+ */
+export function anchors(tree) {
+  const slugger = createSlugger();
+  const ids = new Set();
+  visit(tree, (node) => {
+    if (node.type !== 'heading') return;
+    const parsed = parseMarkdownHeadingId(textOf(node));
+    ids.add(parsed.id ?? slugger.slug(parsed.text));
+  });
+
+  const findings = [];
+  visit(tree, (node) => {
+    if (node.type !== 'link' || !node.url.startsWith('#') || node.url === '#') return;
+    let id = node.url.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch {}
+    if (ids.has(id)) return;
+    const near = [...ids].find((candidate) => candidate.replace(/^[^a-z0-9]+/, '') === id.replace(/^[^a-z0-9]+/, ''));
+    findings.push({
+      line: node.position.start.line,
+      message: `#${id} matches no heading on this page.${near ? ` Did you mean #${near}?` : ''}`,
+    });
+  });
+  return findings;
+}
+
+/**
+ * Code blocks name their language, so they are highlighted and the search
+ * index reads their declarations. Plain output can use `text`.
+ * @param {any} tree
+ */
+export function fenceLanguage(tree) {
+  const findings = [];
+  visit(tree, (node) => {
+    if (node.type === 'code' && !node.lang) {
+      findings.push({ line: node.position.start.line, message: 'code block has no language. Use `text` for plain output.' });
+    }
+  });
+  return findings;
+}
+
+// Finding for a policy that does not parse, or none
+function unparsedPolicy(policy, where) {
+  if (POLICY.test(String(policy).trim())) return [];
+  return [
+    {
+      line: 1,
+      message: `access "${policy}" ${where} is not one of public, authenticated, role:<a,b> or group:<a,b>.`,
+    },
+  ];
+}
+
+// Whether policy `doc` lets in a reader that `instance` keeps out. Roles and
+// groups are separate claims, so neither list narrows the other.
+function widens(doc, instance) {
+  if (instance.public) return false;
+  if (doc.public) return true;
+  if (instance.roles.length === 0 && instance.groups.length === 0) return false;
+  if (doc.roles.length === 0 && doc.groups.length === 0) return true;
+  const lower = (values) => values.map((value) => value.toLowerCase());
+  const roles = lower(instance.roles);
+  const groups = lower(instance.groups);
+  return lower(doc.roles).some((role) => !roles.includes(role)) || lower(doc.groups).some((group) => !groups.includes(group));
+}
+
+/**
+ * The doc, or its docs instance, says who may read it, with a policy that
+ * parses. src/auth/access.js would treat a misspelled one as "any signed-in
+ * user". A doc's own policy replaces the instance's, so it may narrow it but
+ * not let in readers the instance keeps out.
+ * @param {string | undefined} policy `access` front matter of the doc
+ * @param {string | undefined} instancePolicy `access` of its docs instance
+ */
+export function accessIntent(policy, instancePolicy) {
+  if (policy === undefined) {
+    if (instancePolicy !== undefined) return [];
+    return [{ line: 1, message: 'sets no access. Add `access:` front matter, or `access` to its docs instance.' }];
+  }
+  const problems = unparsedPolicy(policy, 'front matter');
+  if (problems.length > 0 || instancePolicy === undefined || !POLICY.test(String(instancePolicy).trim())) return problems;
+  if (!widens(parseAccessPolicy(policy), parseAccessPolicy(instancePolicy))) return [];
+  return [
+    {
+      line: 1,
+      message: `access "${policy}" front matter lets in readers that "${instancePolicy}" of its docs instance keeps out. A doc can only narrow the access of its instance.`,
+    },
+  ];
+}
+
+/**
+ * The `access` of a docs instance parses, see accessIntent.
+ * @param {string} policy
+ */
+export function instanceAccessIntent(policy) {
+  return unparsedPolicy(policy, 'of its docs instance');
+}
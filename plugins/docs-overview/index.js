@@ -0,0 +1,116 @@
+// @ts-check
+// Summarizes every docs plugin instance for the homepage: what it covers, how
+// many pages it has, when it last changed and where to start reading, plus
+// the pages changed most recently across the site. Instances are read from
+// `customFields.docsSections`, so a new entry in `docsInstances` gets a card
+// without touching the homepage.
+
+import path from 'path';
+import { aliasedSitePathToRelativePath, FileNotTrackedError, getFileCommitDate, GitNotFoundError } from '@docusaurus/utils';
+
+const DOCS_PLUGIN = 'docusaurus-plugin-content-docs';
+
+// Docs linked from each card, after the landing page
+const ENTRY_POINTS = 4;
+
+// The sidebar's links in order, as `{ id, label }`. A category with a landing
+// page stands for everything in it, e.g. a whole generated API reference;
+// other categories are opened up.
+function sidebarLinks(items) {
+  return items.flatMap((item) => {
+    if (item.type === 'doc' || item.type === 'ref') return [{ id: item.id, label: item.label }];
+    if (item.type !== 'category') return [];
+    if (item.link?.type === 'doc') return [{ id: item.link.id, label: item.label }];
+    return sidebarLinks(item.items);
+  });
+}
+
+// Date of the last commit touching the doc, or null for generated pages,
+// which are not tracked, and for checkouts without git
+async function lastUpdatedAt(siteDir, doc) {
+  try {
+    const { timestamp } = await getFileCommitDate(path.resolve(siteDir, aliasedSitePathToRelativePath(doc.source)), {
+      age: 'newest',
+    });
+    return timestamp;
+  } catch (error) {
+    if (error instanceof FileNotTrackedError || error instanceof GitNotFoundError) return null;
+    throw error;
+  }
+}
+
+function docLabel(doc) {
+  return doc.frontMatter.sidebar_label ?? doc.title;
+}
+
+/**
+ * Writes `overview.json` for src/pages/index.js: `{ cards, recent }`, where
+ * each card carries the instance's `access` and each recent page its own, so
+ * the homepage can mark what needs sign-in.
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function docsOverviewPlugin(context) {
+  const sections = /** @type {{ id: string, label: string, group: string, access?: string }[]} */ (
+    context.siteConfig.customFields?.docsSections ?? []
+  );
+
+  return {
+    name: 'docs-overview',
+
+    async allContentLoaded({ allContent, actions }) {
+      const cards = [];
+      const pages = [];
+      for (const section of sections) {
+        const content = /** @type {any} */ (allContent[DOCS_PLUGIN]?.[section.id]);
+        // Older versions are reached from the version dropdown, not from here
+        const version = content?.loadedVersions.find((loaded) => loaded.isLast) ?? content?.loadedVersions[0];
+        if (!version) continue;
+
+        const docs = version.docs.filter((doc) => !doc.unlisted);
+        const byId = new Map(docs.map((doc) => [doc.id, doc]));
+        const links = Object.values(version.sidebars)
+          .flatMap(sidebarLinks)
+          .filter((link) => byId.has(link.id));
+        const landing = byId.get(links[0]?.id) ?? docs[0];
+        if (!landing) continue;
+
+        let updatedAt = null;
+        for (const doc of docs) {
+          const timestamp = await lastUpdatedAt(context.siteDir, doc);
+          if (timestamp === null) continue;
+          updatedAt = Math.max(updatedAt ?? 0, timestamp);
+          pages.push({
+            title: doc.title,
+            url: doc.permalink,
+            section: section.id,
+            access: doc.frontMatter.access ?? section.access ?? 'public',
+            updatedAt: timestamp,
+          });
+        }
+
+        cards.push({
+          id: section.id,
+          label: section.label,
+          group: section.group,
+          access: section.access ?? 'public',
+          description: landing.description,
+          url: landing.permalink,
+          // Unversioned instances keep the default label of the current version
+          version: version.label === 'Next' ? undefined : version.label,
+          pageCount: docs.length,
+          updatedAt,
+          entryPoints: links
+            .filter((link) => link.id !== landing.id)
+            .slice(0, ENTRY_POINTS)
+            .map((link) => ({ label: link.label ?? docLabel(byId.get(link.id)), url: byId.get(link.id).permalink })),
+        });
+      }
+
+      // All of them, newest first: the homepage drops the pages the reader
+      // cannot open before it shortens the list
+      const recent = pages.sort((a, b) => b.updatedAt - a.updatedAt);
+      await actions.createData('overview.json', JSON.stringify({ cards, recent }));
+    },
+  };
+}
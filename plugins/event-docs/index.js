@@ -0,0 +1,149 @@
+// @ts-check
+// Generates one page per event type from the JSON Schemas in schemas/events
+// into a docs plugin instance. Adding a schema file adds its page; the pages
+// are build output and are not committed. A hand-written guide named after
+// the page, in `guidesDir`, is linked from it.
+
+import fs from 'fs';
+import path from 'path';
+import { writeGeneratedPages } from '../lib/generated-pages.js';
+import { describeFields, enumOptions } from '../../src/components/EventSchema/payload.js';
+import { loadPythonModels } from '../python-dataclasses/index.js';
+import { eventSlug, renderEventPage } from './render.js';
+
+// Marker dotfile for writeGeneratedPages
+const MARKER_FILE = '.event-docs';
+const SCHEMA_SUFFIX = '.schema.json';
+
+// Catches schema mistakes at build time instead of on the rendered page
+function validateSchema(file, schema) {
+  const fail = (message) => {
+    throw new Error(`${file}: ${message}`);
+  };
+  if (!schema.title) fail('missing "title" (the event class name).');
+  if (`${schema.title}${SCHEMA_SUFFIX}` !== path.basename(file)) fail(`file name must be ${schema.title}${SCHEMA_SUFFIX}.`);
+  if (!schema['x-python-module'] || !schema['x-csharp-namespace']) fail('missing "x-python-module" or "x-csharp-namespace".');
+
+  const fields = describeFields(schema);
+  if (!fields.some((field) => field.name === 'ClassName' && field.kind === 'const')) fail('"ClassName" must be a "const".');
+  const byName = new Map(fields.map((field) => [field.name, field]));
+  for (const name of [...(schema.required ?? []), ...(schema['x-subjects'] ?? [])]) {
+    if (!byName.has(name)) fail(`"${name}" is listed in "required" or "x-subjects" but is not a property.`);
+  }
+
+  for (const [i, example] of (schema['x-examples'] ?? []).entries()) {
+    const where = `x-examples[${i}]`;
+    if (!example.summary || !example.value) fail(`${where} needs a "summary" and a "value".`);
+    for (const name of Object.keys(example.value)) {
+      if (!byName.has(name)) fail(`${where} sets unknown field "${name}".`);
+    }
+    for (const field of fields) {
+      const value = example.value[field.name];
+      if (field.required && value === undefined) fail(`${where} is missing required field "${field.name}".`);
+      if (field.kind === 'enum' && value != null && !enumOptions(field.def).some((option) => option.value === value)) {
+        fail(`${where} sets ${field.name} to ${value}, which is not a ${field.def.title} value.`);
+      }
+    }
+  }
+}
+
+// A schema whose title matches a dataclass in the Python sources must list
+// the same fields in the same order, with the same required ones, and its
+// enums the same members.
+function checkAgainstPython(file, schema, models) {
+  const fail = (message) => {
+    throw new Error(`${file} does not match the Python source: ${message}`);
+  };
+  const dataclass = models.dataclasses.find((model) => model.name === schema.title);
+  if (!dataclass) return;
+
+  const schemaFields = describeFields(schema);
+  const schemaNames = schemaFields.map((field) => field.name).join(', ');
+  const pythonNames = dataclass.fields.map((field) => field.name).join(', ');
+  if (schemaNames !== pythonNames) fail(`fields are ${schemaNames}, ${dataclass.name} has ${pythonNames}.`);
+  for (const [i, field] of schemaFields.entries()) {
+    if (field.kind !== 'const' && field.required === dataclass.fields[i].optional) {
+      fail(`${field.name} is ${field.required ? 'required' : 'optional'} in the schema but not in ${dataclass.name}.`);
+    }
+  }
+
+  for (const def of Object.values(schema.$defs ?? {})) {
+    const pythonEnum = def.enum && models.enums.find((model) => model.name === def.title);
+    if (!pythonEnum) continue;
+    const schemaMembers = enumOptions(def).map((option) => `${option.name} = ${option.value}`).join(', ');
+    const pythonMembers = pythonEnum.members.map((member) => `${member.name} = ${member.value}`).join(', ');
+    if (schemaMembers !== pythonMembers) fail(`${def.title} is ${schemaMembers}, the enum has ${pythonMembers}.`);
+  }
+}
+
+function loadSchemas(schemasDir, pythonModels) {
+  return fs
+    .readdirSync(schemasDir)
+    .filter((file) => file.endsWith(SCHEMA_SUFFIX))
+    .sort()
+    .map((file) => {
+      const filePath = path.join(schemasDir, file);
+      let schema;
+      try {
+        schema = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read event schema ${filePath}: ${error.message}`);
+      }
+      validateSchema(filePath, schema);
+      checkAgainstPython(filePath, schema, pythonModels);
+      return { file, schema };
+    });
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {{ schemasDir: string, outputDir: string, guidesDir?: string, editUrl?: string, pythonSources?: string[] }} options
+ *   Paths are relative to the site directory; `outputDir` must sit inside the
+ *   target docs instance's `path`. `editUrl` is the base URL of the schema
+ *   files, each page's edit link points at its schema. Schemas are checked
+ *   against the dataclasses in `pythonSources`.
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function eventDocsPlugin(context, options) {
+  const schemasDir = path.resolve(context.siteDir, options.schemasDir);
+  const outputDir = path.resolve(context.siteDir, options.outputDir);
+  const guidesDir = options.guidesDir && path.resolve(context.siteDir, options.guidesDir);
+  const pythonSources = (options.pythonSources ?? []).map((file) => path.resolve(context.siteDir, file));
+  const generate = () => {
+    const pages = new Map(
+      loadSchemas(schemasDir, loadPythonModels(pythonSources)).map(({ file, schema }) => {
+        const name = `${eventSlug(schema)}.mdx`;
+        const guide = guidesDir && path.join(guidesDir, name);
+        return [
+          name,
+          renderEventPage(schema, {
+            editUrl: options.editUrl && `${options.editUrl.replace(/\/$/, '')}/${file}`,
+            guide: guide && fs.existsSync(guide) ? path.relative(outputDir, guide).split(path.sep).join('/') : undefined,
+          }),
+        ];
+      }),
+    );
+    writeGeneratedPages(outputDir, pages, { markerFile: MARKER_FILE, generator: 'plugins/event-docs' });
+  };
+
+  // Same reason as plugins/openapi-docs: the docs plugin reads its folder in
+  // parallel with every other plugin's loadContent.
+  generate();
+
+  return {
+    name: 'event-docs',
+
+    getPathsToWatch() {
+      return [
+        path.join(schemasDir, `*${SCHEMA_SUFFIX}`),
+        ...(guidesDir ? [path.join(guidesDir, '*.mdx')] : []),
+        ...pythonSources,
+      ];
+    },
+
+    // Runs again whenever a schema changes during `docusaurus start`
+    async loadContent() {
+      generate();
+    },
+  };
+}
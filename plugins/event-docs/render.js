@@ -0,0 +1,147 @@
+// @ts-check
+// Renders one MDX page per event schema. Pure functions of the schema, so an
+// unchanged schema produces a byte-identical page.
+
+import { escapeMdx, frontMatter } from '../lib/mdx.js';
+import {
+  describeFields,
+  enumOptions,
+  fromInstance,
+  toCSharp,
+  toDict,
+  toJson,
+  toPython,
+} from '../../src/components/EventSchema/payload.js';
+
+/** `ModuleStatusUpdateEvent` → `Module Status Update Event` */
+export function eventTitle(schema) {
+  return schema.title.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+}
+
+/** `ModuleStatusUpdateEvent` → `module-status-update-event` */
+export function eventSlug(schema) {
+  return eventTitle(schema).toLowerCase().replace(/\s+/g, '-');
+}
+
+function pythonDefault(value) {
+  if (value === null) return 'None';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  return JSON.stringify(value);
+}
+
+function classDefinition(schema, fields) {
+  const lines = ['@dataclass', `class ${schema.title}:`];
+  for (const field of fields) {
+    const type = field.kind === 'const' ? 'str' : field.pythonType;
+    lines.push(field.required ? `    ${field.name}: ${type}` : `    ${field.name}: ${type} = ${pythonDefault(field.default)}`);
+  }
+  return lines.join('\n');
+}
+
+function enumDefinition(def) {
+  const options = enumOptions(def);
+  const width = Math.max(...options.map((option) => `${option.name} = ${option.value}`.length));
+  return [
+    `class ${def.title}(Enum):`,
+    ...options.map((option) => {
+      const member = `${option.name} = ${option.value}`;
+      return option.description ? `    ${member.padEnd(width)}  # ${option.description}` : `    ${member}`;
+    }),
+  ].join('\n');
+}
+
+function fence(language, code) {
+  return `\`\`\`${language}\n${code}\n\`\`\``;
+}
+
+function exampleTabs(schema, fields, instance) {
+  const values = fromInstance(fields, instance);
+  const tab = (value, label, code) => `<TabItem value="${value}" label="${label}">\n\n${code}\n\n</TabItem>`;
+  return [
+    '<Tabs groupId={SDK_LANGUAGE_GROUP}>',
+    tab('json', 'to_dict()', fence('json', toJson(toDict(fields, values)))),
+    tab('python', 'Python', fence('python', toPython(schema, fields, values))),
+    tab('csharp', 'C#', fence('csharp', toCSharp(schema, fields, values))),
+    '</Tabs>',
+  ].join('\n');
+}
+
+function publishExample(schema) {
+  const subjects = (schema['x-subjects'] ?? []).map((name) => `event.${name}`).join(', ');
+  return fence(
+    'python',
+    [
+      'import json',
+      'from biosero.datamodels.events import EventMessage',
+      'from biosero.datamodels.restclients import EventClient',
+      '',
+      "ec = EventClient('http://localhost:8105')",
+      'ec.publish_event(',
+      '    EventMessage(',
+      '        Topic=event.ClassName,',
+      `        Subjects=[${subjects}],`,
+      '        Data=json.dumps(event.to_dict()),',
+      '    )',
+      ')',
+    ].join('\n'),
+  );
+}
+
+/**
+ * Page for one event type.
+ * @param {any} schema
+ * @param {{ editUrl?: string, guide?: string }} options `editUrl` points at
+ *   the schema file, `guide` is the path of the event type's guide relative to
+ *   the page
+ */
+export function renderEventPage(schema, { editUrl, guide }) {
+  const fields = describeFields(schema);
+  const className = fields.find((field) => field.kind === 'const')?.default;
+  const defs = Object.values(schema.$defs ?? {});
+  const title = eventTitle(schema);
+
+  const sections = [
+    frontMatter({
+      title,
+      sidebar_label: title,
+      description: schema.description,
+      custom_edit_url: editUrl,
+    }),
+    [
+      "import Tabs from '@theme/Tabs';",
+      "import TabItem from '@theme/TabItem';",
+      "import EventSchema from '@site/src/components/EventSchema';",
+      "import { SDK_LANGUAGE_GROUP } from '@site/src/components/SdkExample';",
+    ].join('\n'),
+    `# ${escapeMdx(title)}`,
+    escapeMdx(schema.description),
+    `\`${schema.title}\` is in \`${schema['x-python-module']}\` (Python) and \`${schema['x-csharp-namespace']}\` (C#). Its \`ClassName\` is \`${className}\`.`,
+    guide && `Publishing patterns, analysis, best practices and audit notes are in the [${title} guide](${guide}).`,
+    '## Class Definition',
+    fence('python', classDefinition(schema, fields)),
+    ...defs.filter((def) => def.enum).map((def) => fence('python', enumDefinition(def))),
+  ];
+  for (const def of defs.filter((def) => !def.enum)) {
+    sections.push(`\`${def.title}\` (\`${def['x-python-module'] ?? schema['x-python-module']}\`): ${escapeMdx(def.description ?? '')}`);
+  }
+
+  sections.push('## Fields', `<EventSchema type="${schema.title}" builder={false} />`);
+
+  const examples = schema['x-examples'] ?? [];
+  if (examples.length > 0) {
+    sections.push('## Examples');
+    for (const example of examples) {
+      sections.push(`### ${escapeMdx(example.summary)}`, exampleTabs(schema, fields, example.value));
+    }
+  }
+
+  sections.push(
+    '## Publishing',
+    `Send the event through the Python SDK's \`EventClient\`, with \`to_dict()\` serialized as the message \`Data\`:`,
+    publishExample(schema),
+    '## Payload Builder',
+    'Fill in the fields to get the exact `to_dict()` payload and the code that builds it.',
+    `<EventSchema type="${schema.title}" table={false} />`,
+  );
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
@@ -0,0 +1,51 @@
+// @ts-check
+// Writes generated doc pages into a folder of a docs plugin instance. The
+// pages are build output and are not committed.
+
+import fs from 'fs';
+import path from 'path';
+
+function listFiles(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`],
+  );
+}
+
+/**
+ * Makes `outputDir` hold exactly `pages` (relative path → content). Only
+ * touches files whose content changed, so `docusaurus start` reloads just the
+ * pages affected by a source edit.
+ *
+ * `markerFile` marks the folder as the generator's, so a misconfigured
+ * outputDir never deletes hand-written docs. Use a dotfile so the docs plugin
+ * ignores it.
+ *
+ * @param {string} outputDir
+ * @param {Map<string, string>} pages
+ * @param {{ markerFile: string, generator: string }} options
+ */
+export function writeGeneratedPages(outputDir, pages, { markerFile, generator }) {
+  const markerPath = path.join(outputDir, markerFile);
+  if (fs.existsSync(outputDir) && !fs.existsSync(markerPath) && listFiles(outputDir).length > 0) {
+    throw new Error(`${outputDir} has files ${generator} did not generate. Point outputDir at an empty folder.`);
+  }
+
+  const marker = `Generated by ${generator}. Edit its source instead.\n`;
+  for (const [file, content] of [[markerFile, marker], ...pages]) {
+    const target = path.join(outputDir, file);
+    if (fs.existsSync(target) && fs.readFileSync(target, 'utf8') === content) continue;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+  }
+
+  for (const file of listFiles(outputDir)) {
+    if (file !== markerFile && !pages.has(file)) fs.rmSync(path.join(outputDir, file));
+  }
+  for (const dir of fs.readdirSync(outputDir, { withFileTypes: true })) {
+    const dirPath = path.join(outputDir, dir.name);
+    if (dir.isDirectory() && fs.readdirSync(dirPath).length === 0) fs.rmdirSync(dirPath);
+  }
+}
@@ -0,0 +1,34 @@
+// @ts-check
+// Helpers for plugins that write MDX pages from structured sources.
+
+// Source text is Markdown, but MDX would read `{`, `}` and `<` outside code
+// spans as JSX.
+export function escapeMdx(text = '') {
+  return String(text)
+    .split(/(`[^`]*`)/)
+    .map((part, i) => (i % 2 === 1 ? part : part.replace(/[{}]/g, '\\$&').replace(/</g, '&lt;').replace(/>/g, '&gt;')))
+    .join('');
+}
+
+/** Escaped text that fits in one Markdown table cell. */
+export function cell(text = '') {
+  return escapeMdx(text).replace(/\r?\n+/g, ' ').replace(/\|/g, '\\|');
+}
+
+/** Front matter block; `undefined` values are left out. */
+export function frontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return `---\n${lines.join('\n')}\n---`;
+}
+
+/** Markdown table, or '' when there are no rows. */
+export function table(headers, rows) {
+  if (rows.length === 0) return '';
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.join(' | ')} |`),
+  ].join('\n');
+}
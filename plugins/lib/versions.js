@@ -0,0 +1,28 @@
+// @ts-check
+// Where a docs plugin instance keeps the frozen copies of older versions:
+// <site>/<instance id>_versioned_docs/version-<name>/, written by
+// `docusaurus docs:version:<instance id> <name>`.
+
+import path from 'path';
+
+const VERSION_ROOT = /^(.*[\\/][^\\/]+_versioned_docs[\\/]version-[^\\/]+)[\\/]/;
+
+/**
+ * The version folder a doc file sits in, or null for the current version.
+ * @param {string} filePath
+ */
+export function versionedDocsRoot(filePath) {
+  return VERSION_ROOT.exec(filePath)?.[1] ?? null;
+}
+
+/**
+ * `dir`, a folder inside the current version's `docsDir`, moved to the same
+ * place in the version `filePath` belongs to.
+ * @param {string} filePath
+ * @param {string} docsDir
+ * @param {string} dir
+ */
+export function sameVersionDir(filePath, docsDir, dir) {
+  const root = versionedDocsRoot(filePath);
+  return root ? path.join(root, path.relative(docsDir, dir)) : dir;
+}
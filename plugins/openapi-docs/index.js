@@ -0,0 +1,63 @@
+// @ts-check
+// Generates an endpoint reference from a checked-in OpenAPI document into a
+// docs plugin instance: an overview, one page per tag and per operation, and a
+// schemas page. The pages are build output and are not committed.
+
+import path from 'path';
+import { writeGeneratedPages } from '../lib/generated-pages.js';
+import { collectTags, loadSpec } from './spec.js';
+import { renderOperation, renderOverview, renderSchemas, renderTag } from './render.js';
+
+export { createApiSidebarItems } from './sidebar.js';
+
+// Marker dotfile for writeGeneratedPages
+const MARKER_FILE = '.openapi-docs';
+
+function renderPages(spec, editUrl) {
+  const tags = collectTags(spec);
+  const pages = new Map([
+    ['index.mdx', renderOverview(spec, tags, { editUrl })],
+    ['schemas.mdx', renderSchemas(spec, { editUrl })],
+  ]);
+  for (const tag of tags) {
+    pages.set(`${tag.slug}/index.mdx`, renderTag(spec, tag, { editUrl }));
+    for (const entry of tag.operations) {
+      pages.set(`${tag.slug}/${entry.slug}.mdx`, renderOperation(spec, entry, { editUrl }));
+    }
+  }
+  return pages;
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {{ specPath: string, outputDir: string, editUrl?: string }} options
+ *   Paths are relative to the site directory; `outputDir` must sit inside the
+ *   target docs instance's `path`.
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function openApiDocsPlugin(context, options) {
+  const specPath = path.resolve(context.siteDir, options.specPath);
+  const outputDir = path.resolve(context.siteDir, options.outputDir);
+  const generate = () =>
+    writeGeneratedPages(outputDir, renderPages(loadSpec(specPath), options.editUrl), {
+      markerFile: MARKER_FILE,
+      generator: 'plugins/openapi-docs',
+    });
+
+  // Docs plugins read their folders in parallel with every other plugin's
+  // loadContent, so the first pass has to happen before that.
+  generate();
+
+  return {
+    name: 'openapi-docs',
+
+    getPathsToWatch() {
+      return [specPath];
+    },
+
+    // Runs again whenever the spec changes during `docusaurus start`
+    async loadContent() {
+      generate();
+    },
+  };
+}
@@ -0,0 +1,285 @@
+// @ts-check
+// Renders the MDX pages for an OpenAPI document. Everything here is a pure
+// function of the spec, so unchanged specs produce byte-identical pages.
+
+import { cell, escapeMdx, frontMatter, table } from '../lib/mdx.js';
+import { refName, resolveRef } from './spec.js';
+
+const METHOD_BADGES = {
+  GET: 'badge--success',
+  POST: 'badge--primary',
+  PUT: 'badge--warning',
+  PATCH: 'badge--warning',
+  DELETE: 'badge--danger',
+};
+const MAX_EXAMPLE_DEPTH = 5;
+
+function codeBlock(value, title) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return `\`\`\`json${title ? ` title="${title}"` : ''}\n${text}\n\`\`\``;
+}
+
+export function schemaAnchor(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+function methodBadge(method) {
+  return `<span className="badge ${METHOD_BADGES[method] ?? 'badge--secondary'}">${method}</span>`;
+}
+
+// `schemasHref` is the link to the schemas page from the page being rendered
+function typeLabel(spec, schema, schemasHref) {
+  if (!schema) return 'any';
+  const name = refName(schema);
+  if (name) return `[${name}](${schemasHref}#${schemaAnchor(name)})`;
+  if (schema.$ref) return typeLabel(spec, resolveRef(spec, schema), schemasHref);
+  if (schema.enum) return schema.enum.map((value) => `\`${value}\``).join(' \\| ');
+  if (schema.oneOf || schema.anyOf) {
+    return (schema.oneOf ?? schema.anyOf).map((option) => typeLabel(spec, option, schemasHref)).join(' or ');
+  }
+  if (schema.type === 'array') return `${typeLabel(spec, schema.items, schemasHref)}[]`;
+  if (schema.type === 'object' && schema.additionalProperties && !schema.properties) {
+    return `map of ${typeLabel(spec, schema.additionalProperties === true ? null : schema.additionalProperties, schemasHref)}`;
+  }
+  const type = schema.type ?? 'object';
+  return schema.format ? `${type} (${schema.format})` : type;
+}
+
+// Flattens `allOf` so inherited properties show up in the field table
+function objectShape(spec, schema) {
+  const resolved = resolveRef(spec, schema);
+  if (!resolved?.allOf) return resolved;
+  return resolved.allOf.reduce(
+    (shape, part) => {
+      const partShape = objectShape(spec, part);
+      return {
+        ...shape,
+        properties: { ...shape.properties, ...partShape?.properties },
+        required: [...shape.required, ...(partShape?.required ?? [])],
+      };
+    },
+    { ...resolved, allOf: undefined, properties: { ...resolved.properties }, required: [...(resolved.required ?? [])] },
+  );
+}
+
+function fieldNotes(schema) {
+  const notes = [schema.description ?? ''];
+  if (schema.readOnly) notes.push('Read-only.');
+  if (schema.nullable) notes.push('Nullable.');
+  if (schema.default !== undefined) notes.push(`Default: \`${JSON.stringify(schema.default)}\`.`);
+  return notes.filter(Boolean).join(' ');
+}
+
+function fieldsTable(spec, schema, schemasHref) {
+  const shape = objectShape(spec, schema?.type === 'array' ? schema.items : schema);
+  if (!shape?.properties) return '';
+  const required = new Set(shape.required ?? []);
+  return table(
+    ['Field', 'Type', 'Required', 'Description'],
+    Object.entries(shape.properties).map(([name, property]) => [
+      `\`${name}\``,
+      typeLabel(spec, property, schemasHref),
+      required.has(name) ? 'Yes' : 'No',
+      cell(fieldNotes(resolveRef(spec, property))),
+    ]),
+  );
+}
+
+/** Builds an example value from a schema, preferring the spec's own examples. */
+export function exampleFor(spec, schema, { forRequest = false } = {}, depth = 0) {
+  if (!schema || depth > MAX_EXAMPLE_DEPTH) return null;
+  if (schema.example !== undefined) return schema.example;
+  if (schema.$ref) return exampleFor(spec, resolveRef(spec, schema), { forRequest }, depth + 1);
+  if (schema.enum) return schema.enum[0];
+  if (schema.allOf) return exampleFor(spec, objectShape(spec, schema), { forRequest }, depth + 1);
+  if (schema.oneOf || schema.anyOf) return exampleFor(spec, (schema.oneOf ?? schema.anyOf)[0], { forRequest }, depth + 1);
+
+  switch (schema.type) {
+    case 'array':
+      return [exampleFor(spec, schema.items, { forRequest }, depth + 1)];
+    case 'string':
+      if (schema.format === 'date-time') return '2025-01-01T00:00:00Z';
+      if (schema.format === 'date') return '2025-01-01';
+      if (schema.format === 'uuid') return '3fa85f64-5717-4562-b3fc-2c963f66afa6';
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 0;
+    case 'boolean':
+      return true;
+    default: {
+      const entries = Object.entries(schema.properties ?? {})
+        .filter(([, property]) => !(forRequest && resolveRef(spec, property).readOnly))
+        .map(([name, property]) => [name, exampleFor(spec, property, { forRequest }, depth + 1)]);
+      return Object.fromEntries(entries);
+    }
+  }
+}
+
+function mediaExample(spec, media, options) {
+  if (media.example !== undefined) return media.example;
+  const named = Object.values(media.examples ?? {})[0];
+  if (named) return resolveRef(spec, named).value;
+  return exampleFor(spec, media.schema, options);
+}
+
+function renderContent(spec, content, schemasHref, options) {
+  return Object.entries(content ?? {}).map(([mediaType, media]) => {
+    const parts = [`\`${mediaType}\`: ${typeLabel(spec, media.schema, schemasHref)}`];
+    const fields = fieldsTable(spec, media.schema, schemasHref);
+    if (fields) parts.push(fields);
+    const example = mediaExample(spec, media, options);
+    if (example !== null && example !== undefined) parts.push(codeBlock(example, 'Example'));
+    return parts.join('\n\n');
+  });
+}
+
+function tryItProps(spec, entry) {
+  const query = entry.parameters
+    .filter((param) => param.in === 'query')
+    .map((param) => {
+      const prop = { name: param.name };
+      if (param.required) prop.required = true;
+      if (param.description) prop.description = param.description;
+      const example = param.example ?? param.schema?.example ?? param.schema?.default;
+      if (example !== undefined) prop.default = String(example);
+      return prop;
+    });
+  const props = [`method="${entry.method}"`, `path="${entry.path}"`];
+  if (query.length > 0) props.push(`query={${JSON.stringify(query)}}`);
+  const media = resolveRef(spec, entry.operation.requestBody)?.content?.['application/json'];
+  if (media) props.push(`body={${JSON.stringify(mediaExample(spec, media, { forRequest: true }))}}`);
+  return props.join(' ');
+}
+
+/** Page for one operation, at `<tag slug>/<operation slug>.mdx`. */
+export function renderOperation(spec, entry, { editUrl }) {
+  const { operation } = entry;
+  const schemasHref = '../schemas.mdx';
+  const sections = [
+    frontMatter({
+      title: entry.summary,
+      sidebar_label: entry.summary,
+      description: operation.description?.split('\n')[0] || `${entry.method} ${entry.path}`,
+      operation_id: operation.operationId,
+      custom_edit_url: editUrl,
+    }),
+    "import TryIt from '@site/src/components/TryIt';",
+    `# ${escapeMdx(entry.summary)}`,
+    `${methodBadge(entry.method)} \`${entry.path}\``,
+  ];
+  if (operation.deprecated) sections.push(':::warning Deprecated\n\nThis operation is deprecated.\n\n:::');
+  if (operation.description) sections.push(escapeMdx(operation.description));
+
+  if (entry.parameters.length > 0) {
+    sections.push(
+      '## Parameters',
+      table(
+        ['Name', 'In', 'Type', 'Required', 'Description'],
+        entry.parameters.map((param) => [
+          `\`${param.name}\``,
+          param.in,
+          typeLabel(spec, param.schema, schemasHref),
+          param.required ? 'Yes' : 'No',
+          cell(param.description),
+        ]),
+      ),
+    );
+  }
+
+  const requestBody = resolveRef(spec, operation.requestBody);
+  if (requestBody) {
+    sections.push('## Request body');
+    if (requestBody.description) sections.push(escapeMdx(requestBody.description));
+    sections.push(...renderContent(spec, requestBody.content, schemasHref, { forRequest: true }));
+  }
+
+  sections.push('## Responses');
+  for (const [status, responseRef] of Object.entries(operation.responses ?? {})) {
+    const response = resolveRef(spec, responseRef);
+    sections.push(`### ${status}`, escapeMdx(response.description ?? ''));
+    sections.push(...renderContent(spec, response.content, schemasHref, {}));
+  }
+
+  sections.push('## Try it', `<TryIt ${tryItProps(spec, entry)} />`);
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
+
+/** Landing page for a tag, at `<tag slug>/index.mdx`. */
+export function renderTag(spec, tag, { editUrl }) {
+  return `${[
+    frontMatter({
+      title: tag.name,
+      sidebar_label: tag.name,
+      description: tag.description || `${tag.name} endpoints`,
+      custom_edit_url: editUrl,
+    }),
+    `# ${escapeMdx(tag.name)}`,
+    escapeMdx(tag.description),
+    table(
+      ['Method', 'Path', 'Operation'],
+      tag.operations.map((entry) => [
+        methodBadge(entry.method),
+        `\`${entry.path}\``,
+        `[${cell(entry.summary)}](./${entry.slug}.mdx)`,
+      ]),
+    ),
+  ]
+    .filter(Boolean)
+    .join('\n\n')}\n`;
+}
+
+/** Every component schema on one page, at `schemas.mdx`. */
+export function renderSchemas(spec, { editUrl }) {
+  const sections = [
+    frontMatter({
+      title: 'Schemas',
+      sidebar_label: 'Schemas',
+      description: `Request and response models of the ${spec.info?.title ?? 'API'}`,
+      custom_edit_url: editUrl,
+    }),
+    '# Schemas',
+  ];
+  for (const [name, schema] of Object.entries(spec.components?.schemas ?? {})) {
+    sections.push(`## ${name} {#${schemaAnchor(name)}}`);
+    if (schema.description) sections.push(escapeMdx(schema.description));
+    const fields = fieldsTable(spec, schema, '');
+    sections.push(fields || `Type: ${typeLabel(spec, schema, '')}`);
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+/** Overview of the whole API, at `index.mdx`. */
+export function renderOverview(spec, tags, { editUrl }) {
+  const { info = {}, servers = [] } = spec;
+  const title = info.title ?? 'API reference';
+  const sections = [
+    frontMatter({
+      title,
+      sidebar_label: 'Overview',
+      description: `Endpoint reference for the ${title}`,
+      custom_edit_url: editUrl,
+    }),
+    `# ${escapeMdx(title)}`,
+  ];
+  if (info.version) sections.push(`**Version:** \`${info.version}\``);
+  if (info.description) sections.push(escapeMdx(info.description));
+  if (servers.length > 0) {
+    sections.push('## Servers', servers.map((server) => `- \`${server.url}\`${server.description ? ` — ${escapeMdx(server.description)}` : ''}`).join('\n'));
+  }
+  if (spec.components?.securitySchemes) {
+    sections.push(
+      '## Authentication',
+      'Requests carry a bearer token in the `Authorization` header. The **Try it** console on each operation page sends yours when you are signed in.',
+    );
+  }
+  sections.push(
+    '## Endpoints',
+    table(
+      ['Group', 'Operations', 'Description'],
+      tags.map((tag) => [`[${cell(tag.name)}](./${tag.slug}/index.mdx)`, String(tag.operations.length), cell(tag.description)]),
+    ),
+    'Request and response models are listed under [Schemas](./schemas.mdx).',
+  );
+  return `${sections.join('\n\n')}\n`;
+}
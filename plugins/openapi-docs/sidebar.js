@@ -0,0 +1,35 @@
+// @ts-check
+// Sidebar items for the pages the plugin generates, built from the same spec so
+// a sidebars file can include them without listing operations by hand.
+
+import { collectTags, loadSpec } from './spec.js';
+
+/**
+ * @param {string} specPath
+ * @param {{ outputDir: string, label?: string }} options
+ *   `outputDir` is the generated folder relative to the docs instance path.
+ * @returns {import('@docusaurus/plugin-content-docs').SidebarsConfig[string]}
+ */
+export function createApiSidebarItems(specPath, { outputDir, label = 'API Reference' }) {
+  const spec = loadSpec(specPath);
+  return [
+    {
+      type: 'category',
+      label,
+      link: { type: 'doc', id: `${outputDir}/index` },
+      items: [
+        ...collectTags(spec).map((tag) => ({
+          type: 'category',
+          label: tag.name,
+          link: { type: 'doc', id: `${outputDir}/${tag.slug}/index` },
+          items: tag.operations.map((entry) => ({
+            type: 'doc',
+            id: `${outputDir}/${tag.slug}/${entry.slug}`,
+            className: `api-method api-method--${entry.method.toLowerCase()}`,
+          })),
+        })),
+        { type: 'doc', id: `${outputDir}/schemas` },
+      ],
+    },
+  ];
+}
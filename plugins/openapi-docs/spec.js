@@ -0,0 +1,93 @@
+// @ts-check
+// Reads an OpenAPI 3 document and groups its operations by tag. Shared by the
+// page generator and the sidebar so both always agree on doc IDs.
+
+import fs from 'fs';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+
+/** @param {string} specPath */
+export function loadSpec(specPath) {
+  const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+  if (!String(spec.openapi ?? '').startsWith('3.')) {
+    throw new Error(
+      `${specPath} is not an OpenAPI 3 document. Export the spec as OpenAPI 3 (Swashbuckle's default) instead of Swagger 2.0.`,
+    );
+  }
+  return spec;
+}
+
+/** e.g. "GetIdentityLocationPath" -> "get-identity-location-path" */
+export function toSlug(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase();
+}
+
+/** Follows a local `$ref` such as `#/components/schemas/Identity`. */
+export function resolveRef(spec, value) {
+  let current = value;
+  const seen = new Set();
+  while (current?.$ref) {
+    if (seen.has(current.$ref)) throw new Error(`Circular $ref ${current.$ref}`);
+    seen.add(current.$ref);
+    if (!current.$ref.startsWith('#/')) throw new Error(`Only local $refs are supported: ${current.$ref}`);
+    current = current.$ref
+      .slice(2)
+      .split('/')
+      .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, key) => node?.[key], spec);
+    if (current === undefined) throw new Error(`Unresolved $ref ${[...seen].pop()}`);
+  }
+  return current;
+}
+
+/** Name of the component schema a `$ref` points at, if any. */
+export function refName(schema) {
+  const match = /^#\/components\/schemas\/(.+)$/.exec(schema?.$ref ?? '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Groups operations by their first tag, in the order of `spec.tags` and then
+ * first appearance. Untagged operations go under "default".
+ */
+export function collectTags(spec) {
+  const tags = new Map();
+  for (const tag of spec.tags ?? []) {
+    tags.set(tag.name, { name: tag.name, description: tag.description ?? '', slug: toSlug(tag.name), operations: [] });
+  }
+
+  for (const [path, pathItem] of Object.entries(spec.paths ?? {})) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+      const tagName = operation.tags?.[0] ?? 'default';
+      if (!tags.has(tagName)) {
+        tags.set(tagName, { name: tagName, description: '', slug: toSlug(tagName), operations: [] });
+      }
+      const tag = tags.get(tagName);
+      // Path-level parameters apply unless the operation redefines them
+      const ownParams = (operation.parameters ?? []).map((param) => resolveRef(spec, param));
+      const inherited = (pathItem.parameters ?? [])
+        .map((param) => resolveRef(spec, param))
+        .filter((param) => !ownParams.some((own) => own.name === param.name && own.in === param.in));
+
+      let slug = toSlug(operation.operationId ?? `${method}-${path}`);
+      if (tag.operations.some((existing) => existing.slug === slug)) slug = `${slug}-${method}`;
+
+      tag.operations.push({
+        method: method.toUpperCase(),
+        path,
+        slug,
+        summary: operation.summary ?? `${method.toUpperCase()} ${path}`,
+        operation,
+        parameters: [...inherited, ...ownParams],
+      });
+    }
+  }
+
+  return [...tags.values()].filter((tag) => tag.operations.length > 0);
+}
@@ -0,0 +1,119 @@
+// @ts-check
+// Maps each operation across the REST API and the SDKs, from the checked-in
+// operation map, and resolves every method it names to the heading that
+// documents it. The result feeds the equivalents row under each method
+// heading (src/components/MethodEquivalents) and the /coverage page.
+//
+// The build fails when the map names a method no page documents, or a page
+// documents a method or the spec defines an operation the map does not list,
+// so the map cannot drift from the docs.
+
+import fs from 'fs';
+import path from 'path';
+import { aliasedSitePathToRelativePath } from '@docusaurus/utils';
+import { collectTags, loadSpec } from '../openapi-docs/spec.js';
+import { extractSections } from '../search-index/extract.js';
+import { headingMethod } from './methods.js';
+
+export { default as remarkMethodEquivalents } from './remark-equivalents.js';
+
+const DOCS_PLUGIN = 'docusaurus-plugin-content-docs';
+
+// Every method documented in one docs instance: name → { label, url, source }
+function documentedMethods(siteDir, version, operationLabels) {
+  const methods = new Map();
+  const add = (name, entry) => !methods.has(name) && methods.set(name, entry);
+  for (const doc of version.docs) {
+    const { sdk_class: sdkClass, operation_id: operationId } = doc.frontMatter;
+    if (operationId) add(operationId, { label: operationLabels.get(operationId) ?? operationId, url: doc.permalink, source: doc.source });
+    if (!sdkClass) continue;
+    const file = path.resolve(siteDir, aliasedSitePathToRelativePath(doc.source));
+    for (const section of extractSections(fs.readFileSync(file, 'utf8'))) {
+      const name = headingMethod(section.heading, sdkClass);
+      if (name) add(name, { label: name, url: `${doc.permalink}#${section.anchor}`, source: doc.source });
+    }
+  }
+  return methods;
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {{
+ *   mapPath: string,
+ *   specPath: string,
+ *   surfaces: { id: string, label: string, docsPluginId: string }[],
+ * }} options
+ *   `mapPath` and `specPath` are relative to the site directory. Each surface
+ *   is a key of the operations in the map, documented by one docs instance.
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function operationMapPlugin(context, options) {
+  const mapPath = path.resolve(context.siteDir, options.mapPath);
+  const specPath = path.resolve(context.siteDir, options.specPath);
+
+  return {
+    name: 'operation-map',
+
+    getPathsToWatch() {
+      return [mapPath];
+    },
+
+    async allContentLoaded({ allContent, actions }) {
+      const map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+      const specOperations = collectTags(loadSpec(specPath)).flatMap((tag) => tag.operations);
+      const operationLabels = new Map(
+        specOperations.map((entry) => [entry.operation.operationId, `${entry.method} ${entry.path}`]),
+      );
+      const problems = [];
+
+      const documented = new Map();
+      for (const surface of options.surfaces) {
+        const content = /** @type {any} */ (allContent[DOCS_PLUGIN]?.[surface.docsPluginId]);
+        // Older versions may document methods that are gone, so only the
+        // newest one is checked and linked to
+        const version = content?.loadedVersions.find((loaded) => loaded.isLast) ?? content?.loadedVersions[0];
+        if (!version) throw new Error(`operation-map: there is no docs instance "${surface.docsPluginId}" for ${surface.label}.`);
+        documented.set(surface.id, documentedMethods(context.siteDir, version, operationLabels));
+      }
+
+      const mapped = new Map(options.surfaces.map((surface) => [surface.id, new Set(map.notOperations?.[surface.id] ?? [])]));
+      const operations = map.operations.map((operation) => {
+        const methods = {};
+        for (const surface of options.surfaces) {
+          methods[surface.id] = (operation[surface.id] ?? []).flatMap((name) => {
+            if (mapped.get(surface.id).has(name)) problems.push(`${surface.label} ${name} is listed more than once.`);
+            mapped.get(surface.id).add(name);
+            const method = documented.get(surface.id).get(name);
+            if (!method) {
+              problems.push(`${surface.label} ${name} (operation "${operation.id}") is not documented on any page.`);
+              return [];
+            }
+            return [{ name, label: method.label, url: method.url }];
+          });
+        }
+        return { id: operation.id, title: operation.title, area: operation.area, methods };
+      });
+
+      for (const surface of options.surfaces) {
+        for (const [name, method] of documented.get(surface.id)) {
+          if (!mapped.get(surface.id).has(name)) {
+            problems.push(`${surface.label} ${name} is documented in ${method.source} but not mapped to an operation.`);
+          }
+        }
+      }
+      const isMapped = (operationId) => options.surfaces.some((surface) => mapped.get(surface.id).has(operationId));
+      for (const entry of specOperations.filter((candidate) => !isMapped(candidate.operation.operationId))) {
+        problems.push(`${entry.method} ${entry.path} (${entry.operation.operationId}) is in the spec but not mapped to an operation.`);
+      }
+
+      if (problems.length > 0) {
+        throw new Error(
+          `${path.relative(context.siteDir, mapPath)} does not match the docs. Add or fix the operations ` +
+            `(or list methods that are not operations under notOperations):\n- ${problems.join('\n- ')}`,
+        );
+      }
+
+      await actions.createData('operations.json', JSON.stringify({ surfaces: options.surfaces, operations }));
+    },
+  };
+}
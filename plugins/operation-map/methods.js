@@ -0,0 +1,20 @@
+// @ts-check
+// Recognizes the headings that document an SDK method, shared by the remark
+// plugin that adds the equivalents row and the check that every such heading
+// is mapped.
+
+// `get_net_volume(container_id)`, "GetNetVolume / GetNetVolumeAsync" or
+// "Dispose()", as opposed to headings like "Key Features"
+const METHOD_HEADING = /^([A-Za-z_]\w*)\s*(?:\(|\/)/;
+
+/**
+ * The mapped name of the method a heading documents, e.g.
+ * `QueryClient.get_net_volume`, or null. Constructors are not methods.
+ * @param {string} heading Plain text of the heading
+ * @param {string} sdkClass The page's `sdk_class` front matter
+ */
+export function headingMethod(heading, sdkClass) {
+  const match = METHOD_HEADING.exec(heading.trim());
+  if (!match || match[1] === sdkClass) return null;
+  return `${sdkClass}.${match[1]}`;
+}
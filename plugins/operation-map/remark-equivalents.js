@@ -0,0 +1,46 @@
+// @ts-check
+// Adds a <MethodEquivalents> row under every heading that documents an SDK
+// method, and under the title of every REST operation page, linking to the
+// same operation in the other SDKs and the REST API. Pages opt in with front
+// matter: `sdk_class: QueryClient` on an SDK client page, `operation_id` on
+// the pages plugins/openapi-docs generates. The links themselves come from
+// plugins/operation-map at runtime, so the row never needs to know another
+// instance's URLs.
+
+import { headingMethod } from './methods.js';
+
+// Plain text of a heading, the way plugins/search-index reads it
+function textOf(node) {
+  if (typeof node.value === 'string') return node.value;
+  return (node.children ?? []).map(textOf).join('');
+}
+
+function equivalents(method) {
+  return {
+    type: 'mdxJsxFlowElement',
+    name: 'MethodEquivalents',
+    attributes: [{ type: 'mdxJsxAttribute', name: 'method', value: method }],
+    children: [],
+  };
+}
+
+/** Remark plugin for every docs instance. */
+export default function remarkMethodEquivalents() {
+  return (tree, file) => {
+    const frontMatter = /** @type {Record<string, any>} */ (file.data.frontMatter ?? {});
+    const { sdk_class: sdkClass, operation_id: operationId } = frontMatter;
+    if (!sdkClass && !operationId) return;
+
+    const visit = (parent) => {
+      parent.children = parent.children.flatMap((node) => {
+        if (node.children) visit(node);
+        if (node.type !== 'heading') return [node];
+        if (operationId && node.depth === 1) return [node, equivalents(operationId)];
+        // The `##` and `###` headings plugins/operation-map checks
+        const method = sdkClass && node.depth >= 2 && node.depth <= 3 ? headingMethod(textOf(node), sdkClass) : null;
+        return method ? [node, equivalents(method)] : [node];
+      });
+    };
+    visit(tree);
+  };
+}
@@ -0,0 +1,160 @@
+// @ts-check
+// One print page per docs instance, at <routeBasePath>/print: a cover page, a
+// table of contents and every doc of the instance's sidebar in sidebar order,
+// for offline and controlled copies. src/components/PrintDocs renders it.
+//
+// Docs and <Protected> content that need sign-in are only included when the
+// build is for internal distribution. With `pdf`, each page is also rendered
+// to <routeBasePath>/print/<instance id>.pdf after the build, see ./pdf.js.
+// The internal distribution is only written as PDF: its print pages are
+// removed from the build once rendered, and in the browser they check the
+// reader's access like the docs do.
+
+import fs from 'fs';
+import path from 'path';
+import { normalizeUrl } from '@docusaurus/utils';
+import { parseAccessPolicy } from '../../src/auth/access.js';
+import { renderPdfs } from './pdf.js';
+
+const DOCS_PLUGIN = 'docusaurus-plugin-content-docs';
+const DISTRIBUTIONS = ['public', 'internal'];
+
+// Sidebar items in reading order. A category with a landing doc is that doc,
+// under the category's label, followed by its items.
+function readingOrder(items, depth = 0) {
+  return items.flatMap((item) => {
+    if (item.type === 'doc') return [{ type: 'doc', id: item.id, label: item.label, depth }];
+    if (item.type !== 'category') return [];
+    const head = item.link?.type === 'doc'
+      ? { type: 'doc', id: item.link.id, label: item.label, depth, category: true }
+      : { type: 'category', label: item.label, depth };
+    return [head, ...readingOrder(item.items, depth + 1)];
+  });
+}
+
+// Categories left with no docs, e.g. when all of them need sign-in
+function withoutEmptyCategories(entries) {
+  return entries.filter((entry, i) => {
+    if (entry.type !== 'category') return true;
+    const next = entries.slice(i + 1).find((candidate) => candidate.type === 'doc' || candidate.depth <= entry.depth);
+    return next?.type === 'doc' && next.depth > entry.depth;
+  });
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {{
+ *   distribution?: 'public' | 'internal',
+ *   pdf?: boolean,
+ *   chromePath?: string,
+ *   sidebarId?: string,
+ * }} options
+ *   `distribution` defaults to 'public'. `chromePath` is the Chrome or
+ *   Chromium executable the PDFs are rendered with. `sidebarId` is the
+ *   sidebar of each instance the docs are taken from.
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function printDocsPlugin(context, options = {}) {
+  const { distribution = 'public', pdf = false, chromePath, sidebarId = 'docsSidebar' } = options;
+  if (!DISTRIBUTIONS.includes(distribution)) {
+    throw new Error(`print-docs: distribution must be one of ${DISTRIBUTIONS.join(', ')}, not "${distribution}".`);
+  }
+  if (distribution === 'internal' && !pdf) {
+    throw new Error('print-docs: the internal distribution is only written as PDF. Set `pdf` and `chromePath` as well.');
+  }
+  const sections = /** @type {{ id: string, label: string, routeBasePath: string, access?: string }[]} */ (
+    context.siteConfig.customFields?.docsSections ?? []
+  );
+  const pages = sections.map((section) => ({
+    id: section.id,
+    label: section.label,
+    path: normalizeUrl([context.baseUrl, section.routeBasePath, 'print']),
+  }));
+
+  return {
+    name: 'print-docs',
+
+    async allContentLoaded({ allContent, actions }) {
+      const buildDate = new Date().toISOString();
+      for (const section of sections) {
+        const content = /** @type {any} */ (allContent[DOCS_PLUGIN]?.[section.id]);
+        const version = content?.loadedVersions.find((loaded) => loaded.isLast) ?? content?.loadedVersions[0];
+        if (!version) continue;
+        const docsById = new Map(version.docs.map((doc) => [doc.id, doc]));
+        const page = /** @type {{ id: string, label: string, path: string }} */ (pages.find((candidate) => candidate.id === section.id));
+
+        const order = readingOrder(version.sidebars[sidebarId] ?? []);
+        // Where the instance starts online: its first doc, needed or not
+        const landing = docsById.get(order.find((item) => item.type === 'doc' && docsById.has(item.id))?.id);
+        const entries = [];
+        const sources = [];
+        let omitted = 0;
+        for (const item of order) {
+          if (item.type === 'category') {
+            entries.push({ type: 'category', label: item.label, depth: item.depth });
+            continue;
+          }
+          const doc = docsById.get(item.id);
+          const left = !doc || (distribution === 'public' && !parseAccessPolicy(doc.frontMatter.access ?? section.access).public);
+          if (doc && left) omitted++;
+          // A category keeps its label without the landing doc
+          if (left && item.category) entries.push({ type: 'category', label: item.label, depth: item.depth });
+          if (left || sources.includes(doc.source)) continue;
+          // Index-based, so the ids are valid PDF destination names
+          entries.push({
+            type: 'doc',
+            title: doc.title,
+            label: item.label ?? doc.frontMatter.sidebar_label ?? doc.title,
+            depth: item.depth,
+            anchor: `print-doc-${sources.length}`,
+            access: doc.frontMatter.access,
+          });
+          sources.push(doc.source);
+        }
+
+        const dataPath = await actions.createData(
+          `${section.id}.json`,
+          JSON.stringify({
+            id: section.id,
+            label: section.label,
+            // Unversioned instances keep the default label of the current version
+            version: version.label === 'Next' ? undefined : version.label,
+            docsUrl: landing?.permalink ?? normalizeUrl([context.baseUrl, section.routeBasePath]),
+            buildDate,
+            distribution,
+            access: section.access,
+            omitted,
+            pdfUrl: pdf ? `${page.path}/${section.id}.pdf` : undefined,
+            entries: withoutEmptyCategories(entries),
+          }),
+        );
+        actions.addRoute({
+          path: page.path,
+          component: '@site/src/components/PrintDocs',
+          exact: true,
+          modules: {
+            print: dataPath,
+            docs: sources.map((source) => ({ content: source })),
+          },
+        });
+      }
+    },
+
+    async postBuild({ outDir }) {
+      if (!pdf) return;
+      await renderPdfs({
+        outDir,
+        baseUrl: context.baseUrl,
+        chromePath,
+        pages: pages.map((page) => ({
+          ...page,
+          file: path.join(outDir, path.relative(context.baseUrl, page.path), `${page.id}.pdf`),
+        })),
+      });
+      // The built HTML holds everything the PDF does, with no access check
+      if (distribution === 'internal') {
+        for (const page of pages) fs.rmSync(path.join(outDir, path.relative(context.baseUrl, page.path), 'index.html'), { force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,161 @@
+// @ts-check
+// Renders the built print pages to PDF with puppeteer-core and a local Chrome
+// or Chromium. The build output is served from a throwaway local server, so
+// the pages load their styles like on the real site. Scripts are not served:
+// a page is printed as the build rendered it, since in the browser the print
+// pages of the internal distribution ask the reader to sign in.
+//
+// Each page is printed twice: the first PDF tells on which page every doc
+// starts, and the second has those numbers in the table of contents.
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import logger from '@docusaurus/logger';
+import { PDFArray, PDFDict, PDFDocument, PDFHexString, PDFName, PDFRef, PDFString } from 'pdf-lib';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+};
+
+// Serves `outDir` under `baseUrl`, except its scripts, on a free port until
+// closed
+async function serve(outDir, baseUrl) {
+  const server = http.createServer((req, res) => {
+    const pathname = decodeURIComponent(new URL(req.url ?? '/', 'http://localhost').pathname);
+    let file = path.join(outDir, path.relative(baseUrl, pathname));
+    if (!file.startsWith(outDir) || !pathname.startsWith(baseUrl) || path.extname(file) === '.js') file = '';
+    else if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+    if (!file || !fs.existsSync(file)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] ?? 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const address = /** @type {import('net').AddressInfo} */ (server.address());
+  return { origin: `http://127.0.0.1:${address.port}`, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+// Page object a destination points at. A destination is an array that starts
+// with the page, or a dictionary with such an array under /D.
+function destinationPage(destination) {
+  if (destination instanceof PDFDict) destination = destination.lookup(PDFName.of('D'));
+  return destination instanceof PDFArray ? destination.get(0) : undefined;
+}
+
+// Entries of a name tree, walking its /Kids
+function nameTreeEntries(node) {
+  if (!(node instanceof PDFDict)) return [];
+  const names = node.lookup(PDFName.of('Names'));
+  const kids = node.lookup(PDFName.of('Kids'));
+  const entries = [];
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      const name = names.lookup(i);
+      if (name instanceof PDFString || name instanceof PDFHexString) entries.push([name.decodeText(), names.lookup(i + 1)]);
+    }
+  }
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) entries.push(...nameTreeEntries(kids.lookup(i)));
+  }
+  return entries;
+}
+
+/**
+ * Page number of each named destination of a PDF. Chrome names a destination
+ * after every element an in-page link points at, such as the table of
+ * contents entries. Named destinations are read from both places a PDF can
+ * keep them: the /Dests dictionary of the catalog and the /Dests name tree.
+ * @param {Uint8Array} pdf
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function destinationPages(pdf) {
+  const document = await PDFDocument.load(pdf, { updateMetadata: false });
+  const pageNumbers = new Map(document.getPages().map((page, i) => [page.ref.toString(), i + 1]));
+  const { catalog } = document;
+
+  const named = [];
+  const dests = catalog.lookup(PDFName.of('Dests'));
+  if (dests instanceof PDFDict) {
+    for (const [name, destination] of dests.entries()) named.push([name.decodeText(), dests.context.lookup(destination)]);
+  }
+  const names = catalog.lookup(PDFName.of('Names'));
+  if (names instanceof PDFDict) named.push(...nameTreeEntries(names.lookup(PDFName.of('Dests'))));
+
+  const destinations = new Map();
+  for (const [name, destination] of named) {
+    const page = destinationPage(destination);
+    const number = page instanceof PDFRef ? pageNumbers.get(page.toString()) : undefined;
+    if (number) destinations.set(name, number);
+  }
+  return destinations;
+}
+
+/**
+ * @param {{
+ *   outDir: string,
+ *   baseUrl: string,
+ *   chromePath?: string,
+ *   pages: { id: string, label: string, path: string, file: string }[],
+ * }} options
+ */
+export async function renderPdfs({ outDir, baseUrl, chromePath, pages }) {
+  if (!chromePath) throw new Error('print-docs: set CHROME_PATH to a Chrome or Chromium executable to render PDFs.');
+  // Loaded here, so builds without PDFs don't load it
+  const { default: puppeteer } = await import('puppeteer-core');
+
+  const server = await serve(outDir, baseUrl);
+  const browser = await puppeteer.launch({ executablePath: chromePath });
+  try {
+    for (const page of pages) {
+      const tab = await browser.newPage();
+      await tab.goto(`${server.origin}${page.path}`, { waitUntil: 'networkidle0' });
+      await tab.emulateMediaType('print');
+      const title = await tab.evaluate(() => document.querySelector('[data-print-title]')?.textContent ?? document.title);
+      /** @type {import('puppeteer-core').PDFOptions} */
+      const pdfOptions = {
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '18mm', bottom: '18mm', left: '15mm', right: '15mm' },
+        displayHeaderFooter: true,
+        headerTemplate: '<span></span>',
+        footerTemplate:
+          '<div style="width: 100%; padding: 0 15mm; font-size: 8px; display: flex; justify-content: space-between;">' +
+          `<span>${title.replace(/[<&]/g, (c) => (c === '<' ? '&lt;' : '&amp;'))}</span>` +
+          '<span><span class="pageNumber"></span> / <span class="totalPages"></span></span></div>',
+      };
+
+      const draft = await tab.pdf(pdfOptions);
+      const destinations = await destinationPages(draft);
+      if (destinations.size === 0) {
+        logger.warn(`print-docs: could not read page numbers from the PDF of ${page.label}. Its table of contents has none.`);
+      }
+      await tab.evaluate((numbers) => {
+        for (const element of document.querySelectorAll('[data-page-ref]')) {
+          const number = numbers[/** @type {HTMLElement} */ (element).dataset.pageRef ?? ''];
+          if (number) element.textContent = String(number);
+        }
+      }, Object.fromEntries(destinations));
+
+      fs.mkdirSync(path.dirname(page.file), { recursive: true });
+      fs.writeFileSync(page.file, await tab.pdf(pdfOptions));
+      await tab.close();
+      logger.success(`Rendered the ${page.label} print page to ${path.relative(process.cwd(), page.file)}.`);
+    }
+  } finally {
+    await browser.close();
+    await server.close();
+  }
+}
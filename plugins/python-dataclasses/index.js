@@ -0,0 +1,52 @@
+// @ts-check
+// Generates an MDX field table for every `@dataclass` in the configured
+// Python files, so docs show the fields, types and defaults of the real
+// source instead of a hand-copied list. The partials are build output and are
+// not committed.
+
+import path from 'path';
+import { writeGeneratedPages } from '../lib/generated-pages.js';
+import { loadPythonModels } from './parse.js';
+import { renderDataclassPartial } from './render.js';
+
+export { loadPythonModels } from './parse.js';
+export { default as remarkPythonFieldRefs } from './remark-field-refs.js';
+
+// Marker dotfile for writeGeneratedPages
+const MARKER_FILE = '.python-dataclasses';
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {{ sources: string[], outputDir: string }} options
+ *   Paths are relative to the site directory. Each dataclass is written to
+ *   `<outputDir>/<ClassName>.mdx`.
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function pythonDataclassesPlugin(context, options) {
+  const sources = options.sources.map((file) => path.resolve(context.siteDir, file));
+  const outputDir = path.resolve(context.siteDir, options.outputDir);
+  const generate = () => {
+    const models = loadPythonModels(sources);
+    const enums = new Map(models.enums.map((pythonEnum) => [pythonEnum.name, pythonEnum]));
+    const pages = new Map(
+      models.dataclasses.map((dataclass) => [`${dataclass.name}.mdx`, renderDataclassPartial(dataclass, enums)]),
+    );
+    writeGeneratedPages(outputDir, pages, { markerFile: MARKER_FILE, generator: 'plugins/python-dataclasses' });
+  };
+
+  // The partials are imported by docs, so they have to exist before any
+  // content plugin compiles them.
+  generate();
+
+  return {
+    name: 'python-dataclasses',
+
+    getPathsToWatch() {
+      return sources;
+    },
+
+    async loadContent() {
+      generate();
+    },
+  };
+}
@@ -0,0 +1,139 @@
+// @ts-check
+// A deliberately small reader for the Python data models we document: the
+// top-level `@dataclass` and `Enum` classes of a module, their fields or
+// members, defaults and trailing comments. It reads lines, not a full Python
+// grammar, and ignores everything it does not recognise (method bodies, imports).
+
+import fs from 'fs';
+
+const CLASS_LINE = /^class\s+(\w+)\s*(?:\(([^)]*)\))?\s*:/;
+const FIELD_LINE = /^(\w+)\s*:\s*(.+?)(?:\s*=\s*(.+))?$/;
+const MEMBER_LINE = /^(\w+)\s*=\s*(.+)$/;
+const ENUM_BASES = new Set(['Enum', 'IntEnum', 'StrEnum', 'enum.Enum', 'enum.IntEnum']);
+
+/**
+ * @typedef {{ name: string, type: string, default?: string, optional: boolean, description: string, line: number }} DataclassField
+ * @typedef {{ name: string, fields: DataclassField[], methods: string[], file: string, line: number }} Dataclass
+ * @typedef {{ name: string, value: string, description: string }} EnumMember
+ * @typedef {{ name: string, members: EnumMember[], file: string, line: number }} PythonEnum
+ * @typedef {{ dataclasses: Dataclass[], enums: PythonEnum[] }} PythonModels
+ */
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+// Brackets and quotes in a default can hide a `#`
+function splitComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i += 1;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#') {
+      return [text.slice(0, i).trimEnd(), text.slice(i + 1).trim()];
+    }
+  }
+  return [text.trimEnd(), ''];
+}
+
+function isOptional(type, defaultValue) {
+  return defaultValue !== undefined || /^(typing\.)?Optional\[/.test(type) || /\|\s*None$/.test(type);
+}
+
+/** Body lines of a class: everything indented deeper than the class line. */
+function classBody(lines, start) {
+  const body = [];
+  let indent = null;
+  for (let i = start + 1; i < lines.length; i += 1) {
+    const line = lines[i];
+    if (line.trim() === '' || line.trim().startsWith('#')) continue;
+    if (indentOf(line) === 0) break;
+    indent ??= indentOf(line);
+    body.push({ text: line, indent: indentOf(line), line: i + 1 });
+  }
+  // Only statements directly in the class, not inside its methods
+  return body.filter((entry) => entry.indent === indent);
+}
+
+/**
+ * @param {string} source
+ * @param {string} file Used in error messages and results
+ * @returns {PythonModels}
+ */
+export function parsePythonModels(source, file) {
+  const lines = source.split(/\r?\n/);
+  /** @type {PythonModels} */
+  const models = { dataclasses: [], enums: [] };
+
+  lines.forEach((line, index) => {
+    const match = CLASS_LINE.exec(line);
+    if (!match) return;
+    const [, name, bases = ''] = match;
+    const decorators = [];
+    for (let i = index - 1; i >= 0 && lines[i].startsWith('@'); i -= 1) decorators.push(lines[i].trim());
+    const body = classBody(lines, index);
+
+    if (decorators.some((decorator) => /^@(dataclasses\.)?dataclass\b/.test(decorator))) {
+      const fields = [];
+      const methods = [];
+      for (const entry of body) {
+        const text = entry.text.trim();
+        const method = /^(?:async\s+)?def\s+(\w+)/.exec(text);
+        if (method) methods.push(method[1]);
+        if (method || /^(class|@)\b/.test(text) || text.startsWith('"""') || text.startsWith("'''")) continue;
+        const [code, comment] = splitComment(text);
+        const field = FIELD_LINE.exec(code);
+        if (!field) continue;
+        const [, fieldName, type, defaultValue] = field;
+        if (/^(typing\.)?ClassVar\b/.test(type)) continue;
+        fields.push({
+          name: fieldName,
+          type,
+          default: defaultValue,
+          optional: isOptional(type, defaultValue),
+          description: comment,
+          line: entry.line,
+        });
+      }
+      models.dataclasses.push({ name, fields, methods, file, line: index + 1 });
+    } else if (bases.split(',').some((base) => ENUM_BASES.has(base.trim()))) {
+      const members = [];
+      for (const entry of body) {
+        const [code, comment] = splitComment(entry.text.trim());
+        const member = MEMBER_LINE.exec(code);
+        if (member && !member[1].startsWith('_')) members.push({ name: member[1], value: member[2], description: comment });
+      }
+      models.enums.push({ name, members, file, line: index + 1 });
+    }
+  });
+
+  return models;
+}
+
+/**
+ * Parses every file and merges the results. Throws when two files define the
+ * same class, since references to it would be ambiguous.
+ * @param {string[]} files Absolute paths
+ * @returns {PythonModels}
+ */
+export function loadPythonModels(files) {
+  /** @type {PythonModels} */
+  const merged = { dataclasses: [], enums: [] };
+  const seen = new Map();
+  for (const file of files) {
+    const models = parsePythonModels(fs.readFileSync(file, 'utf8'), file);
+    for (const model of [...models.dataclasses, ...models.enums]) {
+      if (seen.has(model.name)) {
+        throw new Error(`Python class ${model.name} is defined in both ${seen.get(model.name)} and ${file}.`);
+      }
+      seen.set(model.name, file);
+    }
+    merged.dataclasses.push(...models.dataclasses);
+    merged.enums.push(...models.enums);
+  }
+  return merged;
+}
@@ -0,0 +1,45 @@
+// @ts-check
+// Fails the build when a doc names a field the dataclass (or a member the
+// enum) does not have. A reference is inline code of the form
+// `ModuleStatusUpdateEvent.Status` or `ModuleStatus.Busy`, where the part
+// before the dot is a class from the parsed Python sources. Methods count as
+// known names, and calls like `ModuleStatusUpdateEvent.to_dict()` are not
+// checked. Docs of older versions are not checked, since the sources only
+// describe the current one.
+
+import { versionedDocsRoot } from '../lib/versions.js';
+import { loadPythonModels } from './parse.js';
+
+const REFERENCE = /^(\w+)\.(\w+)$/;
+
+function visit(node, callback) {
+  callback(node);
+  for (const child of node.children ?? []) visit(child, callback);
+}
+
+/**
+ * Remark plugin for the docs instances.
+ * @param {{ sources: string[] }} options Absolute paths of the Python files
+ */
+export default function remarkPythonFieldRefs({ sources }) {
+  const models = loadPythonModels(sources);
+  const names = new Map([
+    ...models.dataclasses.map((model) => [model.name, new Set([...model.fields.map((field) => field.name), ...model.methods])]),
+    ...models.enums.map((model) => [model.name, new Set(model.members.map((member) => member.name))]),
+  ]);
+
+  return (tree, file) => {
+    if (versionedDocsRoot(file.path)) return;
+    visit(tree, (node) => {
+      if (node.type !== 'inlineCode') return;
+      const match = REFERENCE.exec(node.value);
+      if (!match || !names.has(match[1]) || names.get(match[1]).has(match[2])) return;
+      file.fail(
+        `\`${node.value}\` refers to ${match[2]}, but ${match[1]} has no such field or member. ` +
+          `Known: ${[...names.get(match[1])].join(', ')}.`,
+        node,
+        'python-field-refs',
+      );
+    });
+  };
+}
@@ -0,0 +1,59 @@
+// @ts-check
+// Renders the MDX field tables for parsed Python data models.
+
+import { cell, table } from '../lib/mdx.js';
+
+/** @typedef {import('./parse.js').Dataclass} Dataclass */
+/** @typedef {import('./parse.js').PythonEnum} PythonEnum */
+
+// Names in a type annotation, e.g. `Optional[List[ModuleStatus]]` → Optional, List, ModuleStatus
+function typeNames(type) {
+  return type.match(/[A-Za-z_][\w.]*/g) ?? [];
+}
+
+/**
+ * @param {PythonEnum} pythonEnum
+ */
+export function renderEnumTable(pythonEnum) {
+  const described = pythonEnum.members.some((member) => member.description);
+  return table(
+    described ? ['Member', 'Value', 'Description'] : ['Member', 'Value'],
+    pythonEnum.members.map((member) => {
+      const row = [`\`${member.name}\``, `\`${cell(member.value)}\``];
+      return described ? [...row, cell(member.description)] : row;
+    }),
+  );
+}
+
+/**
+ * Field table for a dataclass, followed by a table for each enum its fields
+ * use. Rendered as an MDX partial, so a doc imports it and renders
+ * `<ModuleStatusUpdateEventFields />`.
+ * @param {Dataclass} dataclass
+ * @param {Map<string, PythonEnum>} enums By name
+ */
+export function renderDataclassPartial(dataclass, enums) {
+  const described = dataclass.fields.some((field) => field.description);
+  const headers = ['Field', 'Type', 'Optional', 'Default'];
+  const sections = [
+    `{/* Generated by plugins/python-dataclasses from ${dataclass.name} in ${dataclass.file.split(/[\\/]/).pop()}. Do not edit. */}`,
+    table(
+      described ? [...headers, 'Description'] : headers,
+      dataclass.fields.map((field) => {
+        const row = [
+          `\`${field.name}\``,
+          `\`${cell(field.type)}\``,
+          field.optional ? 'Yes' : 'No',
+          field.default === undefined ? '—' : `\`${cell(field.default)}\``,
+        ];
+        return described ? [...row, cell(field.description)] : row;
+      }),
+    ),
+  ];
+
+  const used = new Set(dataclass.fields.flatMap((field) => typeNames(field.type)));
+  for (const [name, pythonEnum] of enums) {
+    if (used.has(name)) sections.push(`**\`${name}\`** values:`, renderEnumTable(pythonEnum));
+  }
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
@@ -0,0 +1,148 @@
+// @ts-check
+// Collects what changed in each docs instance, for the /release-notes pages:
+// the release-notes blog posts of the instance and every `##`/`###` heading
+// with a `<Since version="2.1.0" />` badge, in the newest release and in the
+// unreleased docs. The versions of all of them make up the version list the
+// compare page picks from.
+//
+// The build fails when a badge or a post names a version that is not a
+// version number, or one newer than the instance's current docs version. A
+// badge only in the unreleased docs must name a later version instead.
+//
+// Release notes of an instance that needs sign-in share its access policy:
+// src/theme/BlogLayout gates their pages, and they have no feeds.
+
+import fs from 'fs';
+import path from 'path';
+import { aliasedSitePathToRelativePath } from '@docusaurus/utils';
+import { parseAccessPolicy } from '../../src/auth/access.js';
+import { extractSections } from '../search-index/extract.js';
+
+const DOCS_PLUGIN = 'docusaurus-plugin-content-docs';
+const BLOG_PLUGIN = 'docusaurus-plugin-content-blog';
+const VERSION = /^\d+(\.\d+)*$/;
+
+/** Orders "2.0.1" before "2.1.0" before "10.0.0". */
+export function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] ?? 0) - (right[i] ?? 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Blog plugin ID of the release notes of a docs instance. src/theme/BlogLayout
+ * maps it back to the instance.
+ */
+export function releaseNotesPluginId(docsPluginId) {
+  return `${docsPluginId}-release-notes`;
+}
+
+// Every badged heading of one docs version, with the access policy of its
+// page so the compare page can leave out what the reader cannot open
+function sinceEntries(siteDir, version, access) {
+  return version.docs.flatMap((doc) => {
+    const file = path.resolve(siteDir, aliasedSitePathToRelativePath(doc.source));
+    return extractSections(fs.readFileSync(file, 'utf8'))
+      .filter((section) => section.since !== undefined)
+      .map((section) => ({
+        version: section.since,
+        heading: section.heading,
+        page: doc.title,
+        url: `${doc.permalink}#${section.anchor}`,
+        access: doc.frontMatter.access ?? access,
+        source: doc.source,
+      }));
+  });
+}
+
+/**
+ * Reads the docs instances listed in `customFields.docsSections` and their
+ * release notes, added for each of them in docusaurus.config.js.
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function releaseNotesPlugin(context) {
+  const sections = /** @type {{ id: string, label: string, group: string, access?: string }[]} */ (
+    context.siteConfig.customFields?.docsSections ?? []
+  );
+
+  return {
+    name: 'release-notes',
+
+    async allContentLoaded({ allContent, actions }) {
+      const problems = [];
+      const components = sections.map((section) => {
+        const docs = /** @type {any} */ (allContent[DOCS_PLUGIN]?.[section.id]);
+        const blog = /** @type {any} */ (allContent[BLOG_PLUGIN]?.[releaseNotesPluginId(section.id)]);
+        const current = docs?.loadedVersions.find((loaded) => loaded.isLast) ?? docs?.loadedVersions[0];
+        // Unversioned instances keep the default label of the current version
+        const currentVersion = current && current.label !== 'Next' ? current.label : undefined;
+
+        // Docs not released yet, under /next, where new badges are added
+        const next = docs?.loadedVersions.find((loaded) => loaded.versionName === 'current' && !loaded.isLast);
+
+        // The newest release and the unreleased docs are read: older releases
+        // carry the same badges as the newest. A badge in both is listed once.
+        const released = current ? sinceEntries(context.siteDir, current, section.access) : [];
+        const upcoming = (next ? sinceEntries(context.siteDir, next, section.access) : []).filter(
+          (entry) => !released.some((other) => other.version === entry.version && other.heading === entry.heading && other.page === entry.page),
+        );
+        const since = [...released, ...upcoming];
+        const posts = (blog?.blogPosts ?? [])
+          .filter((post) => !post.metadata.unlisted)
+          .map((post) => ({
+            title: post.metadata.title,
+            url: post.metadata.permalink,
+            date: post.metadata.date,
+            version: post.metadata.frontMatter.version === undefined ? undefined : String(post.metadata.frontMatter.version),
+            source: post.metadata.source,
+          }));
+
+        const releasedVersion = currentVersion && VERSION.test(currentVersion) ? currentVersion : undefined;
+        for (const entry of [...since, ...posts]) {
+          if (entry.version === undefined) continue;
+          if (!VERSION.test(entry.version)) {
+            problems.push(`${entry.source}: "${entry.version}" is not a version number like 2.1.0.`);
+          } else if (!releasedVersion) {
+            continue;
+          } else if (upcoming.includes(entry)) {
+            // Unreleased methods are new in a release after the newest one
+            if (compareVersions(entry.version, releasedVersion) <= 0) {
+              problems.push(`${entry.source}: the ${entry.version} badge of "${entry.heading}" is only in the unreleased docs. Use a version after ${section.label} ${releasedVersion}.`);
+            }
+          } else if (compareVersions(entry.version, releasedVersion) > 0) {
+            problems.push(`${entry.source}: ${entry.version} is newer than ${section.label} ${releasedVersion}, the current docs version.`);
+          }
+        }
+
+        const versions = new Set([
+          ...(docs?.loadedVersions ?? []).map((loaded) => loaded.label).filter((label) => VERSION.test(label)),
+          ...[...since, ...posts].map((entry) => entry.version).filter((version) => version && VERSION.test(version)),
+        ]);
+        const listUrl = blog?.blogListPaginated[0]?.metadata.permalink;
+        return {
+          id: section.id,
+          label: section.label,
+          group: section.group,
+          access: section.access,
+          currentVersion,
+          versions: [...versions].sort(compareVersions),
+          url: listUrl,
+          feeds: listUrl && parseAccessPolicy(section.access).public ? { rss: `${listUrl}/rss.xml`, atom: `${listUrl}/atom.xml` } : undefined,
+          posts: posts.map(({ source, ...post }) => post),
+          since: since.map(({ source, ...entry }) => entry),
+        };
+      });
+
+      if (problems.length > 0) {
+        throw new Error(`Release notes and <Since> badges need fixing:\n- ${problems.join('\n- ')}`);
+      }
+
+      await actions.createData('release-notes.json', JSON.stringify({ components }));
+    },
+  };
+}
@@ -0,0 +1,137 @@
+// @ts-check
+// Splits a doc's MDX source into searchable sections, one per `##` or `###`
+// heading plus one for the text above the first of them. Anchors are the ids
+// Docusaurus gives the same headings, so results link straight to them.
+
+import { createSlugger, escapeMarkdownHeadingIds, parseMarkdownHeadingId, unwrapMdxCodeBlocks } from '@docusaurus/utils';
+import remarkGfm from 'remark-gfm';
+import remarkMdx from 'remark-mdx';
+import remarkParse from 'remark-parse';
+import { unified } from 'unified';
+
+const FRONT_MATTER = /^---\r?\n[\s\S]*?\r?\n---(\r?\n|$)/;
+const HTML_COMMENT = /<!--[\s\S]*?-->/g;
+
+// Inline code that names something callable or a member: `get_net_volume`,
+// `client.GetIdentityAsync(id)`, `ModuleStatus.Busy`
+const SYMBOL = /^([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)\s*(?:\(.*\))?$/s;
+// Declarations in code blocks: Python `def`, and C# members with an access
+// modifier
+const DECLARATIONS = [/\bdef\s+(\w+)\s*\(/g, /\b(?:public|protected|internal)\s[^=;(){}\n]*?\b(\w+)\s*\(/g];
+// Identifier-shaped words in a heading, e.g. "GetIdentityAsync" or
+// "get_net_volume", as opposed to plain words
+const IDENTIFIER = /\b(?:[a-z]+_\w+|[A-Z]?[a-z0-9]+[A-Z]\w*)\b/g;
+
+// Content only shown to some readers is never indexed, so it cannot turn up
+// in anyone's results
+const SKIPPED_ELEMENTS = new Set(['Protected']);
+const SKIPPED_NODES = new Set(['mdxjsEsm', 'mdxFlowExpression', 'mdxTextExpression', 'html', 'yaml']);
+
+const processor = unified().use(remarkParse).use(remarkMdx).use(remarkGfm);
+
+function isSkipped(node) {
+  return SKIPPED_NODES.has(node.type) || (node.type.startsWith('mdxJsx') && SKIPPED_ELEMENTS.has(node.name));
+}
+
+// Plain text of a node, with block children separated by spaces
+function textOf(node) {
+  if (isSkipped(node)) return '';
+  if (node.type === 'break') return ' ';
+  if (typeof node.value === 'string') return node.value;
+  return (node.children ?? []).map(textOf).join(node.type === 'paragraph' || node.type === 'heading' ? '' : ' ');
+}
+
+function addSymbol(symbols, name) {
+  const lower = name.toLowerCase();
+  symbols.add(lower);
+  const last = lower.split('.').pop();
+  if (last) symbols.add(last);
+}
+
+function codeSymbols(code, symbols) {
+  for (const pattern of DECLARATIONS) {
+    for (const match of code.matchAll(pattern)) addSymbol(symbols, match[1]);
+  }
+}
+
+function inlineSymbols(node, symbols) {
+  if (isSkipped(node)) return;
+  if (node.type === 'inlineCode') {
+    const match = SYMBOL.exec(node.value.trim());
+    if (match) addSymbol(symbols, match[1]);
+  }
+  for (const child of node.children ?? []) inlineSymbols(child, symbols);
+}
+
+// Version of a `<Since version="2.1.0" />` badge in a heading
+function sinceOf(heading) {
+  const badge = heading.children.find((child) => child.type === 'mdxJsxTextElement' && child.name === 'Since');
+  const version = badge?.attributes.find((attribute) => attribute.name === 'version')?.value;
+  return typeof version === 'string' ? version : undefined;
+}
+
+/**
+ * @param {string} source MDX source of one doc
+ * @returns {{ heading: string, anchor: string, since?: string, text: string, code: string, symbols: string[] }[]}
+ *   The first section, for the text above the first heading, has an empty
+ *   heading and anchor. `since` is the version of the heading's `<Since>`
+ *   badge.
+ */
+export function extractSections(source) {
+  const content = escapeMarkdownHeadingIds(unwrapMdxCodeBlocks(source.replace(FRONT_MATTER, '').replace(HTML_COMMENT, '')));
+  const tree = processor.parse(content);
+  const slugger = createSlugger();
+  const sections = [];
+  let current;
+  const startSection = (heading, anchor, since) => {
+    current = { heading, anchor, since, text: [], code: [], symbols: new Set() };
+    sections.push(current);
+  };
+  startSection('', '');
+
+  // Docusaurus numbers repeated heading ids in document order, hidden
+  // headings included, so every heading goes through the slugger
+  const headingOf = (node) => {
+    const parsed = parseMarkdownHeadingId(textOf(node));
+    return { text: parsed.text.trim(), anchor: parsed.id ?? slugger.slug(parsed.text) };
+  };
+
+  const walk = (node, hidden) => {
+    const skipped = hidden || isSkipped(node);
+    if (node.type === 'heading') {
+      const { text, anchor } = headingOf(node);
+      if (skipped || node.depth === 1) return;
+      if (node.depth <= 3) startSection(text, anchor, sinceOf(node));
+      else current.text.push(text);
+      for (const match of text.matchAll(IDENTIFIER)) addSymbol(current.symbols, match[0]);
+      const call = /^([\w.]+)\s*\(/.exec(text);
+      if (call) addSymbol(current.symbols, call[1]);
+      inlineSymbols(node, current.symbols);
+      return;
+    }
+    if (!skipped) {
+      if (node.type === 'code') {
+        current.code.push(node.value);
+        codeSymbols(node.value, current.symbols);
+        return;
+      }
+      if (node.type === 'paragraph' || node.type === 'tableCell') {
+        current.text.push(textOf(node));
+        inlineSymbols(node, current.symbols);
+        return;
+      }
+    }
+    for (const child of node.children ?? []) walk(child, skipped);
+  };
+  walk(tree, false);
+
+  return sections.map((section) => ({
+    heading: section.heading,
+    anchor: section.anchor,
+    since: section.since,
+    text: section.text.join(' ').replace(/\s+/g, ' ').trim(),
+    // Only the identifiers are kept from code, to keep the index small
+    code: [...new Set(section.code.join('\n').match(/[A-Za-z_]\w{2,}/g) ?? [])].join(' '),
+    symbols: [...section.symbols],
+  }));
+}
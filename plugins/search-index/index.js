@@ -0,0 +1,82 @@
+// @ts-check
+// Builds the offline search index read by src/theme/SearchBar from every docs
+// plugin instance. Docs are split into one chunk per access policy, so the
+// browser only downloads the chunks the reader may see and protected pages
+// never show up in an anonymous visitor's results.
+
+import fs from 'fs';
+import path from 'path';
+import { aliasedSitePathToRelativePath } from '@docusaurus/utils';
+import { parseAccessPolicy } from '../../src/auth/access.js';
+import { extractSections } from './extract.js';
+
+const DOCS_PLUGIN = 'docusaurus-plugin-content-docs';
+
+// One spelling per policy, so equivalent frontmatter values share a chunk
+function policyKey(policy) {
+  const access = parseAccessPolicy(policy);
+  if (access.public) return 'public';
+  const list = (values) => [...new Set(values.map((value) => value.toLowerCase()))].sort().join(',');
+  if (access.roles.length > 0) return `role:${list(access.roles)}`;
+  if (access.groups.length > 0) return `group:${list(access.groups)}`;
+  return 'authenticated';
+}
+
+function readSections(siteDir, doc) {
+  const file = path.resolve(siteDir, aliasedSitePathToRelativePath(doc.source));
+  try {
+    return extractSections(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not index ${file} for search: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the docs instances listed in `customFields.docsSections`, with the
+ * same access policy src/theme/DocItem/Layout applies to each doc.
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function searchIndexPlugin(context) {
+  const sections = /** @type {{ id: string, access?: string }[]} */ (context.siteConfig.customFields?.docsSections ?? []);
+
+  return {
+    name: 'search-index',
+
+    async allContentLoaded({ allContent, actions }) {
+      const chunks = new Map();
+      for (const section of sections) {
+        const content = /** @type {any} */ (allContent[DOCS_PLUGIN]?.[section.id]);
+        // Only the newest version is searched
+        const version = content?.loadedVersions.find((loaded) => loaded.isLast) ?? content?.loadedVersions[0];
+        for (const doc of version?.docs ?? []) {
+          if (doc.unlisted) continue;
+          const key = policyKey(doc.frontMatter.access ?? section.access);
+          if (!chunks.has(key)) chunks.set(key, []);
+          for (const entry of readSections(context.siteDir, doc)) {
+            chunks.get(key).push({
+              title: doc.title,
+              heading: entry.heading,
+              url: entry.anchor ? `${doc.permalink}#${entry.anchor}` : doc.permalink,
+              section: section.id,
+              // Pages with no text of their own are still found by their
+              // front matter description
+              text: entry.text || (entry.heading ? '' : doc.description),
+              code: entry.code,
+              symbols: entry.symbols,
+            });
+          }
+        }
+      }
+
+      // Loaded by the search bar, which imports each chunk on demand
+      const entries = [];
+      for (const [access, documents] of chunks) {
+        const file = `${access.replace(/[^a-z0-9]+/g, '-')}.json`;
+        await actions.createData(file, JSON.stringify(documents));
+        entries.push(`  { access: ${JSON.stringify(access)}, load: () => import(${JSON.stringify(`./${file}`)}) },`);
+      }
+      await actions.createData('chunks.js', `export default [\n${entries.join('\n')}\n];\n`);
+    },
+  };
+}
@@ -0,0 +1,70 @@
+// @ts-check
+// Builds the items of an `autogenerated` sidebar entry from the front matter
+// of the docs directly in its folder, so adding a doc never means editing a
+// sidebars file:
+//
+//   sidebar_category: client-libraries   # a key of the configured categories
+//   sidebar_position: 2                  # order within its category
+//   sidebar_icon: 🔍                      # shown before the label
+//   sidebar_label: Query Client          # defaults to the title
+//
+// Docs without a category come first, then the categories in the order they
+// are configured. Subfolders are left out; list them in the sidebars file,
+// as generated references are.
+
+function byPosition(a, b) {
+  return (a.sidebarPosition ?? Infinity) - (b.sidebarPosition ?? Infinity) || docLabel(a).localeCompare(docLabel(b));
+}
+
+function docLabel(doc) {
+  return doc.frontMatter.sidebar_label ?? doc.title;
+}
+
+function docItem(doc) {
+  const icon = doc.frontMatter.sidebar_icon;
+  return {
+    type: 'doc',
+    id: doc.id,
+    label: icon ? `${icon} ${docLabel(doc)}` : docLabel(doc),
+    ...(doc.frontMatter.sidebar_class_name && { className: doc.frontMatter.sidebar_class_name }),
+    ...(doc.frontMatter.sidebar_custom_props && { customProps: doc.frontMatter.sidebar_custom_props }),
+  };
+}
+
+/**
+ * @param {Record<string, { label: string, icon?: string }>} categories
+ *   The categories docs can name in `sidebar_category`, in display order
+ * @returns {import('@docusaurus/plugin-content-docs').PluginOptions['sidebarItemsGenerator']}
+ */
+export function createSidebarItemsGenerator(categories) {
+  return ({ item, docs }) => {
+    const dirName = item.dirName === '.' ? '.' : item.dirName.replace(/\/$/, '');
+    const inFolder = docs.filter((doc) => doc.sourceDirName === dirName);
+
+    for (const doc of inFolder) {
+      const key = doc.frontMatter.sidebar_category;
+      if (key !== undefined && !Object.hasOwn(categories, key)) {
+        throw new Error(
+          `${doc.source}: sidebar_category "${key}" is not a configured sidebar category. ` +
+            `Known: ${Object.keys(categories).join(', ')}.`,
+        );
+      }
+    }
+
+    const uncategorized = inFolder.filter((doc) => doc.frontMatter.sidebar_category === undefined);
+    return [
+      ...uncategorized.sort(byPosition).map(docItem),
+      ...Object.entries(categories).flatMap(([key, category]) => {
+        const members = inFolder.filter((doc) => doc.frontMatter.sidebar_category === key);
+        if (members.length === 0) return [];
+        return [
+          {
+            type: 'category',
+            label: category.icon ? `${category.icon} ${category.label}` : category.label,
+            items: members.sort(byPosition).map(docItem),
+          },
+        ];
+      }),
+    ];
+  };
+}
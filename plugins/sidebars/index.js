@@ -0,0 +1,68 @@
+// @ts-check
+// Fails the build when a docs instance's sidebars place a doc more than once,
+// leave a doc out, or a doc's front matter names a sidebar that does not
+// exist. Docusaurus itself already rejects sidebar entries and pagination
+// front matter pointing at unknown doc IDs.
+
+export { createSidebarItemsGenerator } from './generator.js';
+
+const DOCS_PLUGIN = 'docusaurus-plugin-content-docs';
+
+// Every doc an item places in the sidebar, including category landing pages
+function placedDocIds(items) {
+  return items.flatMap((item) => {
+    if (item.type === 'doc' || item.type === 'ref') return [{ id: item.id, ref: item.type === 'ref' }];
+    if (item.type !== 'category') return [];
+    const link = item.link?.type === 'doc' ? [{ id: item.link.id, ref: false }] : [];
+    return [...link, ...placedDocIds(item.items)];
+  });
+}
+
+function checkVersion(pluginId, version) {
+  const problems = [];
+  const placed = new Map();
+  const referenced = new Set();
+  for (const [sidebarId, items] of Object.entries(version.sidebars)) {
+    for (const { id, ref } of placedDocIds(items)) {
+      referenced.add(id);
+      // `ref` items link to a doc without placing it, so they may repeat
+      if (!ref) placed.set(id, [...(placed.get(id) ?? []), sidebarId]);
+    }
+  }
+
+  for (const [id, sidebarIds] of placed) {
+    if (sidebarIds.length > 1) problems.push(`"${id}" is placed ${sidebarIds.length} times (in ${sidebarIds.join(', ')}).`);
+  }
+  for (const doc of version.docs) {
+    if (!doc.unlisted && !referenced.has(doc.id)) {
+      problems.push(`"${doc.id}" (${doc.source}) is in no sidebar. Add it to the sidebars file, or mark it unlisted.`);
+    }
+    const displayed = doc.frontMatter.displayed_sidebar;
+    if (displayed && !Object.hasOwn(version.sidebars, displayed)) {
+      problems.push(`"${doc.id}" sets displayed_sidebar to "${displayed}", which is not a sidebar of this instance.`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Sidebars of docs instance "${pluginId}" (version ${version.versionName}) need fixing:\n- ${problems.join('\n- ')}`,
+    );
+  }
+}
+
+/**
+ * Checks the sidebars of every docs plugin instance once all content is
+ * loaded.
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function sidebarsCheckPlugin() {
+  return {
+    name: 'sidebars-check',
+
+    async allContentLoaded({ allContent }) {
+      for (const [pluginId, content] of Object.entries(allContent[DOCS_PLUGIN] ?? {})) {
+        for (const version of /** @type {any} */ (content).loadedVersions) checkVersion(pluginId, version);
+      }
+    },
+  };
+}
@@ -0,0 +1,68 @@
+// @ts-check
+// Generates a C# API reference from .NET XML documentation files into a docs
+// plugin instance: an overview, a page per type and a page per constructor
+// set or method. The pages are build output and are not committed.
+
+import path from 'path';
+import { writeGeneratedPages } from '../lib/generated-pages.js';
+import { loadXmlDocs, memberSlug } from './model.js';
+import { renderMemberPage, renderOverview, renderTypePage } from './render.js';
+
+export { createXmlDocSidebarItems } from './sidebar.js';
+export { default as remarkXref } from './remark-xref.js';
+
+// Marker dotfile for writeGeneratedPages
+const MARKER_FILE = '.xmldoc-docs';
+
+function renderPages(model, { title, editUrl }) {
+  // Each page links to the XML file its type is documented in
+  const editUrlFor = (type) => editUrl && `${editUrl.replace(/\/$/, '')}/${path.basename(type.file)}`;
+  const pages = new Map([['index.mdx', renderOverview(model, { title })]]);
+  for (const type of model.types.values()) {
+    pages.set(`${type.slug}/index.mdx`, renderTypePage(model, type, { editUrl: editUrlFor(type) }));
+    const groups = [...(type.constructors.length > 0 ? [type.constructors] : []), ...type.methods.values()];
+    for (const overloads of groups) {
+      pages.set(
+        `${type.slug}/${memberSlug(overloads[0])}.mdx`,
+        renderMemberPage(model, type, overloads, { editUrl: editUrlFor(type) }),
+      );
+    }
+  }
+  return pages;
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {{ files: string[], outputDir: string, title?: string, editUrl?: string }} options
+ *   Paths are relative to the site directory; `outputDir` must sit inside the
+ *   target docs instance's `path`. `editUrl` is the base URL of the folder
+ *   holding the XML files.
+ * @returns {import('@docusaurus/types').Plugin}
+ */
+export default function xmlDocDocsPlugin(context, options) {
+  const files = options.files.map((file) => path.resolve(context.siteDir, file));
+  const outputDir = path.resolve(context.siteDir, options.outputDir);
+  const generate = () =>
+    writeGeneratedPages(
+      outputDir,
+      renderPages(loadXmlDocs(files), { title: options.title ?? 'API Reference', editUrl: options.editUrl }),
+      { markerFile: MARKER_FILE, generator: 'plugins/xmldoc-docs' },
+    );
+
+  // Same reason as plugins/openapi-docs: the docs plugin reads its folder in
+  // parallel with every other plugin's loadContent.
+  generate();
+
+  return {
+    name: 'xmldoc-docs',
+
+    getPathsToWatch() {
+      return files;
+    },
+
+    // Runs again whenever an XML file changes during `docusaurus start`
+    async loadContent() {
+      generate();
+    },
+  };
+}
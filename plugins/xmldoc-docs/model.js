@@ -0,0 +1,231 @@
+// @ts-check
+// Reads .NET XML documentation files into types and members keyed by their
+// documentation IDs (`T:Biosero.DataModels.QueryClient`,
+// `M:Biosero.DataModels.QueryClient.GetIdentity(System.String)`). Shared by
+// the page generator, the sidebar and the xref remark plugin, so all three
+// agree on where each member is documented.
+
+import fs from 'fs';
+import path from 'path';
+import convert from 'xml-js';
+
+const KINDS = { T: 'type', M: 'method', P: 'property', F: 'field', E: 'event' };
+const ALIASES = {
+  'System.String': 'string',
+  'System.Int16': 'short',
+  'System.Int32': 'int',
+  'System.Int64': 'long',
+  'System.Boolean': 'bool',
+  'System.Double': 'double',
+  'System.Single': 'float',
+  'System.Decimal': 'decimal',
+  'System.Byte': 'byte',
+  'System.Char': 'char',
+  'System.Object': 'object',
+  'System.Void': 'void',
+};
+// Member page names that would collide with the type's own pages
+const RESERVED_SLUGS = new Set(['index', 'constructors']);
+
+/**
+ * @typedef {{ type: string, name?: string, text?: string, attributes?: Record<string, string>, elements?: XmlNode[] }} XmlNode
+ * @typedef {{ summary?: XmlNode, remarks?: XmlNode, returns?: XmlNode, example?: XmlNode, value?: XmlNode,
+ *   params: Map<string, XmlNode>, typeparams: Map<string, XmlNode>, exceptions: { cref: string, node: XmlNode }[] }} MemberDocs
+ * @typedef {{ id: string, kind: string, typeName: string, name: string, parameters: string[], docs: MemberDocs, assembly: string, file: string }} Member
+ * @typedef {{ id: string, fullName: string, namespace: string, name: string, slug: string, assembly: string, file: string,
+ *   docs: MemberDocs, constructors: Member[], methods: Map<string, Member[]>, properties: Member[], fields: Member[], events: Member[] }} DocType
+ * @typedef {{ types: Map<string, DocType>, members: Map<string, Member> }} XmlDocModel
+ */
+
+// Splits on commas that are not inside `{}` or `[]`
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '{' || char === '[') depth += 1;
+    if (char === '}' || char === ']') depth -= 1;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * @param {string} id
+ * @returns {{ kind: string, typeName: string, name: string, parameters: string[] }}
+ */
+export function parseMemberId(id) {
+  const match = /^([TMPFE]):([^(]+)(?:\((.*)\))?(?:~.*)?$/.exec(id);
+  if (!match) throw new Error(`"${id}" is not a documentation ID.`);
+  const [, prefix, qualified, params] = match;
+  const parameters = params ? splitTopLevel(params) : [];
+  if (prefix === 'T') {
+    return { kind: 'type', typeName: qualified, name: qualified.slice(qualified.lastIndexOf('.') + 1), parameters };
+  }
+  const dot = qualified.lastIndexOf('.');
+  return { kind: KINDS[prefix], typeName: qualified.slice(0, dot), name: qualified.slice(dot + 1), parameters };
+}
+
+/** C# spelling of a type from an ID: `System.Nullable{System.Int32}` → `int?` */
+export function displayType(idType) {
+  let type = idType.trim();
+  let suffix = '';
+  if (type.endsWith('@')) return `ref ${displayType(type.slice(0, -1))}`;
+  while (/\[[,\d:]*\]$/.test(type)) {
+    suffix = type.slice(type.lastIndexOf('[')).replace(/\d+:/g, '') + suffix;
+    type = type.slice(0, type.lastIndexOf('['));
+  }
+  const generic = /^([^{]+)\{(.*)\}$/.exec(type);
+  if (generic) {
+    const args = splitTopLevel(generic[2]).map(displayType);
+    if (generic[1] === 'System.Nullable') return `${args[0]}?${suffix}`;
+    return `${displayType(generic[1])}<${args.join(', ')}>${suffix}`;
+  }
+  if (/^``\d+$/.test(type)) return `TMethod${type.slice(2)}${suffix}`;
+  if (/^`\d+$/.test(type)) return `T${type.slice(1)}${suffix}`;
+  const name = ALIASES[type] ?? type.slice(type.lastIndexOf('.') + 1);
+  return `${name.replace(/`+\d+$/, '')}${suffix}`;
+}
+
+/** Type named by an ID parameter, without arrays, generics or `ref`. */
+export function baseTypeName(idType) {
+  return idType.replace(/@$/, '').replace(/(\[[,\d:]*\])+$/, '').replace(/\{.*\}$/, '');
+}
+
+export function memberDisplayName(member) {
+  return member.name === '#ctor' ? member.typeName.slice(member.typeName.lastIndexOf('.') + 1) : member.name.replace(/`+\d+$/, '');
+}
+
+export function memberSlug(member) {
+  if (member.name === '#ctor') return 'constructors';
+  const slug = member.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  return RESERVED_SLUGS.has(slug) ? `${slug}-member` : slug;
+}
+
+/** Heading anchor for one overload, or for a property, field or event on its type page. */
+export function memberAnchor(member) {
+  const parts = member.kind === 'method' ? [member.name === '#ctor' ? 'ctor' : member.name, ...member.parameters.map(displayType)] : [member.kind, member.name];
+  return parts.join('-').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-+$/, '');
+}
+
+/** `Name(string itemId, int limit)`, with parameter names when documented. */
+export function memberSignature(member) {
+  const names = [...member.docs.params.keys()];
+  const params = member.parameters.map((type, i) => (names[i] ? `${displayType(type)} ${names[i]}` : displayType(type)));
+  return `${memberDisplayName(member)}(${params.join(', ')})`;
+}
+
+function childElements(node) {
+  return (node.elements ?? []).filter((child) => child.type === 'element');
+}
+
+function readDocs(node) {
+  /** @type {MemberDocs} */
+  const docs = { params: new Map(), typeparams: new Map(), exceptions: [] };
+  for (const child of childElements(node)) {
+    const attributes = child.attributes ?? {};
+    if (child.name === 'param') docs.params.set(attributes.name, child);
+    else if (child.name === 'typeparam') docs.typeparams.set(attributes.name, child);
+    else if (child.name === 'exception') docs.exceptions.push({ cref: attributes.cref, node: child });
+    else if (['summary', 'remarks', 'returns', 'example', 'value'].includes(child.name)) docs[child.name] = child;
+  }
+  return docs;
+}
+
+function emptyType(fullName, assembly, file) {
+  const dot = fullName.lastIndexOf('.');
+  return {
+    id: `T:${fullName}`,
+    fullName,
+    namespace: dot === -1 ? '' : fullName.slice(0, dot),
+    name: fullName.slice(dot + 1).replace(/`+\d+$/, ''),
+    slug: fullName.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    assembly,
+    file,
+    docs: { params: new Map(), typeparams: new Map(), exceptions: [] },
+    constructors: [],
+    methods: new Map(),
+    properties: [],
+    fields: [],
+    events: [],
+  };
+}
+
+/**
+ * @param {string[]} files Absolute paths of XML documentation files
+ * @returns {XmlDocModel}
+ */
+export function loadXmlDocs(files) {
+  /** @type {XmlDocModel} */
+  const model = { types: new Map(), members: new Map() };
+  const pending = [];
+
+  for (const file of files) {
+    let root;
+    try {
+      root = convert.xml2js(fs.readFileSync(file, 'utf8'), { compact: false, ignoreComment: true });
+    } catch (error) {
+      throw new Error(`Could not read XML documentation ${file}: ${error.message}`);
+    }
+    const doc = childElements(root).find((node) => node.name === 'doc');
+    if (!doc) throw new Error(`${file} is not a .NET XML documentation file (no <doc> element).`);
+    const assemblyNode = childElements(doc).find((node) => node.name === 'assembly');
+    const nameNode = assemblyNode && childElements(assemblyNode).find((node) => node.name === 'name');
+    const assembly = nameNode?.elements?.[0]?.text ?? path.basename(file, '.xml');
+    const membersNode = childElements(doc).find((node) => node.name === 'members');
+
+    for (const node of membersNode ? childElements(membersNode) : []) {
+      const id = node.attributes?.name;
+      if (node.name !== 'member' || !id) continue;
+      if (model.members.has(id) || model.types.has(id.slice(2))) throw new Error(`${id} is documented twice (again in ${file}).`);
+      const parsed = parseMemberId(id);
+      if (parsed.kind === 'type') {
+        model.types.set(parsed.typeName, { ...emptyType(parsed.typeName, assembly, file), docs: readDocs(node) });
+      } else {
+        pending.push({ id, ...parsed, docs: readDocs(node), assembly, file });
+      }
+    }
+  }
+
+  // Members can come before their type, or belong to a type without docs
+  for (const member of pending) {
+    if (!model.types.has(member.typeName)) model.types.set(member.typeName, emptyType(member.typeName, member.assembly, member.file));
+    const type = model.types.get(member.typeName);
+    model.members.set(member.id, member);
+    if (member.kind === 'method' && member.name === '#ctor') type.constructors.push(member);
+    else if (member.kind === 'method') type.methods.set(member.name, [...(type.methods.get(member.name) ?? []), member]);
+    else type[`${member.kind === 'property' ? 'properties' : `${member.kind}s`}`].push(member);
+  }
+  return model;
+}
+
+/** Types grouped by namespace, both sorted by name. */
+export function typesByNamespace(model) {
+  const namespaces = new Map();
+  for (const type of [...model.types.values()].sort((a, b) => a.fullName.localeCompare(b.fullName))) {
+    namespaces.set(type.namespace, [...(namespaces.get(type.namespace) ?? []), type]);
+  }
+  return new Map([...namespaces].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Where an ID is documented, relative to the generated folder:
+ * `biosero-datamodels-queryclient/getidentity.mdx#getidentity-string`.
+ * @returns {string | null} null for IDs the files do not document
+ */
+export function docPathFor(model, id) {
+  const typeName = id.startsWith('T:') ? id.slice(2) : null;
+  if (typeName) return model.types.has(typeName) ? `${model.types.get(typeName).slug}/index.mdx` : null;
+  const member = model.members.get(id);
+  if (!member) return null;
+  const type = model.types.get(member.typeName);
+  return member.kind === 'method'
+    ? `${type.slug}/${memberSlug(member)}.mdx#${memberAnchor(member)}`
+    : `${type.slug}/index.mdx#${memberAnchor(member)}`;
+}
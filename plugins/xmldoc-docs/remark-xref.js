@@ -0,0 +1,51 @@
+// @ts-check
+// Lets hand-written docs link to any documented type or member by its
+// documentation ID: [GetIdentityAsync](xref:M:Biosero.DataModels.QueryClient.GetIdentityAsync(System.String)).
+// The link becomes a relative link to the generated page, which Docusaurus
+// then resolves and checks like any other. Unknown IDs fail the build.
+//
+// Use it as a `beforeDefaultRemarkPlugins` entry of the docs instance that
+// holds the generated pages, so Docusaurus sees the rewritten links. Docs of
+// an older version link to that version's frozen copy of the pages.
+
+import path from 'path';
+import { sameVersionDir } from '../lib/versions.js';
+import { docPathFor, loadXmlDocs, memberDisplayName } from './model.js';
+
+const PREFIX = 'xref:';
+
+function visit(node, callback) {
+  callback(node);
+  for (const child of node.children ?? []) visit(child, callback);
+}
+
+/**
+ * @param {{ files: string[], outputDir: string, docsDir: string }} options
+ *   Absolute paths of the XML documentation files, of the folder the pages
+ *   are generated in and of the docs instance's `path`
+ */
+export default function remarkXref({ files, outputDir, docsDir }) {
+  const model = loadXmlDocs(files);
+
+  return (tree, file) => {
+    visit(tree, (node) => {
+      if (node.type !== 'link' || !node.url.startsWith(PREFIX)) return;
+      // Markdown link destinations cannot hold spaces, IDs never need them
+      const id = decodeURIComponent(node.url.slice(PREFIX.length));
+      const target = docPathFor(model, id);
+      if (!target) file.fail(`${node.url} does not match any documented type or member.`, node, 'xref');
+
+      const [page, anchor] = target.split('#');
+      const pagesDir = sameVersionDir(file.path, docsDir, outputDir);
+      let relative = path.relative(path.dirname(file.path), path.join(pagesDir, page)).split(path.sep).join('/');
+      if (!relative.startsWith('.')) relative = `./${relative}`;
+      node.url = `${encodeURI(relative)}${anchor ? `#${anchor}` : ''}`;
+
+      if (node.children.length === 0) {
+        const member = model.members.get(id);
+        const label = member ? memberDisplayName(member) : model.types.get(id.slice(2)).name;
+        node.children = [{ type: 'inlineCode', value: label }];
+      }
+    });
+  };
+}
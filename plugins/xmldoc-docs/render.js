@@ -0,0 +1,269 @@
+// @ts-check
+// Renders the MDX pages for an XML documentation model: an overview, a page
+// per type and a page per constructor set or method (all overloads together).
+// Pure functions of the model, so unchanged XML produces identical pages.
+
+import path from 'path';
+import { cell, escapeMdx, frontMatter, table } from '../lib/mdx.js';
+import {
+  baseTypeName,
+  displayType,
+  docPathFor,
+  memberAnchor,
+  memberDisplayName,
+  memberSignature,
+  memberSlug,
+  typesByNamespace,
+} from './model.js';
+
+/** @typedef {import('./model.js').XmlDocModel} XmlDocModel */
+/** @typedef {import('./model.js').DocType} DocType */
+/** @typedef {import('./model.js').Member} Member */
+/** @typedef {import('./model.js').XmlNode} XmlNode */
+
+// Link from the page at `fromPage` (relative to the generated folder) to
+// wherever `id` is documented, or null when it is not.
+function hrefFor(model, id, fromPage) {
+  const target = docPathFor(model, id);
+  if (!target) return null;
+  const [file, anchor] = target.split('#');
+  const relative = path.posix.relative(path.posix.dirname(fromPage), file);
+  return `${relative.startsWith('.') ? relative : `./${relative}`}${anchor ? `#${anchor}` : ''}`;
+}
+
+function crefLabel(cref) {
+  const [, qualified = cref] = /^\w:([^(]+)/.exec(cref) ?? [];
+  return qualified.slice(qualified.lastIndexOf('.') + 1).replace(/`+\d+$/, '').replace('#ctor', 'constructor');
+}
+
+function dedent(text) {
+  const lines = text.replace(/^\s*\n|\n\s*$/g, '').split('\n');
+  const indent = Math.min(...lines.filter((line) => line.trim()).map((line) => line.length - line.trimStart().length));
+  return lines.map((line) => line.slice(indent)).join('\n');
+}
+
+function plainText(node) {
+  if (node.type === 'text' || node.type === 'cdata') return node.text ?? node.cdata ?? '';
+  return (node.elements ?? []).map(plainText).join('');
+}
+
+/**
+ * Markdown for the content of a doc element (<summary>, <remarks>, ...).
+ * @param {XmlDocModel} model
+ * @param {XmlNode | undefined} node
+ * @param {string} fromPage
+ */
+function docText(model, node, fromPage) {
+  if (!node) return '';
+  const render = (child) => {
+    if (child.type === 'text' || child.type === 'cdata') return escapeMdx(plainText(child).replace(/\s+/g, ' '));
+    if (child.type !== 'element') return '';
+    const attributes = child.attributes ?? {};
+    switch (child.name) {
+      case 'c':
+        return `\`${plainText(child).trim()}\``;
+      case 'code':
+        return `\n\n\`\`\`${attributes.language ?? 'csharp'}\n${dedent(plainText(child))}\n\`\`\`\n\n`;
+      case 'para':
+        return `\n\n${inner(child).trim()}\n\n`;
+      case 'paramref':
+      case 'typeparamref':
+        return `\`${attributes.name}\``;
+      case 'see':
+      case 'seealso': {
+        if (attributes.langword) return `\`${attributes.langword}\``;
+        if (attributes.href) return `[${inner(child).trim() || attributes.href}](${attributes.href})`;
+        const label = inner(child).trim() || `\`${crefLabel(attributes.cref ?? '')}\``;
+        const href = attributes.cref && hrefFor(model, attributes.cref, fromPage);
+        return href ? `[${label}](${href})` : label;
+      }
+      case 'list':
+        return `\n\n${(child.elements ?? [])
+          .filter((item) => item.name === 'item')
+          .map((item) => `- ${inner(item).trim()}`)
+          .join('\n')}\n\n`;
+      default:
+        return inner(child);
+    }
+  };
+  const inner = (parent) => (parent.elements ?? []).map(render).join('');
+  return inner(node)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function typeLink(model, idType, fromPage) {
+  const href = hrefFor(model, `T:${baseTypeName(idType)}`, fromPage);
+  const label = `\`${displayType(idType)}\``;
+  return href ? `[${label}](${href})` : label;
+}
+
+function summaryCell(model, member, fromPage) {
+  return docText(model, member.docs.summary, fromPage).replace(/\n+/g, ' ').replace(/\|/g, '\\|');
+}
+
+function headerLines(type) {
+  return `**Namespace:** \`${type.namespace}\`  \n**Assembly:** \`${type.assembly}\``;
+}
+
+/** Sections for one constructor or method overload. */
+function renderOverload(model, member, fromPage) {
+  const sections = [`## ${escapeMdx(memberSignature(member))} {#${memberAnchor(member)}}`];
+  const { docs } = member;
+  sections.push(docText(model, docs.summary, fromPage));
+  if (member.parameters.length > 0) {
+    const names = [...docs.params.keys()];
+    sections.push(
+      '### Parameters',
+      table(
+        ['Name', 'Type', 'Description'],
+        member.parameters.map((type, i) => [
+          names[i] ? `\`${names[i]}\`` : '—',
+          typeLink(model, type, fromPage),
+          docText(model, docs.params.get(names[i]), fromPage).replace(/\n+/g, ' ').replace(/\|/g, '\\|'),
+        ]),
+      ),
+    );
+  }
+  if (docs.returns) sections.push('### Returns', docText(model, docs.returns, fromPage));
+  if (docs.exceptions.length > 0) {
+    sections.push(
+      '### Exceptions',
+      table(
+        ['Exception', 'Condition'],
+        docs.exceptions.map(({ cref, node }) => [
+          `\`${crefLabel(cref)}\``,
+          docText(model, node, fromPage).replace(/\n+/g, ' ').replace(/\|/g, '\\|'),
+        ]),
+      ),
+    );
+  }
+  if (docs.remarks) sections.push('### Remarks', docText(model, docs.remarks, fromPage));
+  if (docs.example) sections.push('### Example', docText(model, docs.example, fromPage));
+  return sections.filter(Boolean);
+}
+
+/**
+ * Page for a type's constructors or for one method name, at
+ * `<type slug>/<member slug>.mdx`.
+ * @param {XmlDocModel} model
+ * @param {DocType} type
+ * @param {Member[]} overloads
+ * @param {{ editUrl?: string }} options
+ */
+export function renderMemberPage(model, type, overloads, { editUrl }) {
+  const first = overloads[0];
+  const fromPage = `${type.slug}/${memberSlug(first)}.mdx`;
+  const isConstructor = first.name === '#ctor';
+  const title = isConstructor ? `${type.name} Constructors` : `${type.name}.${memberDisplayName(first)}`;
+  const sections = [
+    frontMatter({
+      title,
+      sidebar_label: isConstructor ? 'Constructors' : memberDisplayName(first),
+      description: plainText(first.docs.summary ?? { type: 'text', text: title }).replace(/\s+/g, ' ').trim(),
+      custom_edit_url: editUrl,
+    }),
+    `# ${escapeMdx(title)}`,
+    headerLines(type),
+  ];
+  for (const member of overloads) sections.push(...renderOverload(model, member, fromPage));
+  return `${sections.join('\n\n')}\n`;
+}
+
+function memberSection(model, title, members, fromPage) {
+  if (members.length === 0) return [];
+  const sections = [`## ${title}`];
+  for (const member of members) {
+    sections.push(`### ${escapeMdx(member.name)} {#${memberAnchor(member)}}`, docText(model, member.docs.summary, fromPage));
+    if (member.docs.value) sections.push(docText(model, member.docs.value, fromPage));
+    if (member.docs.remarks) sections.push(docText(model, member.docs.remarks, fromPage));
+  }
+  return sections.filter(Boolean);
+}
+
+/**
+ * Page for a type, at `<type slug>/index.mdx`. Properties, fields and events
+ * are documented here; constructors and methods get their own pages.
+ * @param {XmlDocModel} model
+ * @param {DocType} type
+ * @param {{ editUrl?: string }} options
+ */
+export function renderTypePage(model, type, { editUrl }) {
+  const fromPage = `${type.slug}/index.mdx`;
+  const sections = [
+    frontMatter({
+      title: type.name,
+      sidebar_label: type.name,
+      description: plainText(type.docs.summary ?? { type: 'text', text: type.fullName }).replace(/\s+/g, ' ').trim(),
+      custom_edit_url: editUrl,
+    }),
+    `# ${escapeMdx(type.name)}`,
+    headerLines(type),
+    docText(model, type.docs.summary, fromPage),
+  ];
+  if (type.docs.remarks) sections.push('## Remarks', docText(model, type.docs.remarks, fromPage));
+  if (type.docs.example) sections.push('## Example', docText(model, type.docs.example, fromPage));
+
+  if (type.constructors.length > 0) {
+    sections.push(
+      '## Constructors',
+      table(
+        ['Constructor', 'Description'],
+        type.constructors.map((member) => [
+          `[${escapeMdx(memberSignature(member))}](./constructors.mdx#${memberAnchor(member)})`,
+          summaryCell(model, member, fromPage),
+        ]),
+      ),
+    );
+  }
+  sections.push(...memberSection(model, 'Properties', type.properties, fromPage));
+  sections.push(...memberSection(model, 'Fields', type.fields, fromPage));
+  sections.push(...memberSection(model, 'Events', type.events, fromPage));
+  if (type.methods.size > 0) {
+    sections.push(
+      '## Methods',
+      table(
+        ['Method', 'Description'],
+        [...type.methods.values()].map((overloads) => [
+          `[${escapeMdx(memberDisplayName(overloads[0]))}](./${memberSlug(overloads[0])}.mdx)`,
+          summaryCell(model, overloads[0], fromPage),
+        ]),
+      ),
+    );
+  }
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
+
+/**
+ * Every type by namespace, at `index.mdx`.
+ * @param {XmlDocModel} model
+ * @param {{ title: string }} options
+ */
+export function renderOverview(model, { title }) {
+  const sections = [
+    frontMatter({
+      title,
+      sidebar_label: 'Overview',
+      description: `Types and members of ${[...new Set([...model.types.values()].map((type) => type.assembly))].join(' and ')}`,
+      // Nothing to edit, it is built from the whole model
+      custom_edit_url: null,
+    }),
+    `# ${escapeMdx(title)}`,
+    'Generated from the XML documentation files the assemblies are built with. Constructors and methods have a page each, with every overload; properties and fields are listed on their type.',
+  ];
+  for (const [namespace, types] of typesByNamespace(model)) {
+    sections.push(
+      `## ${namespace}`,
+      table(
+        ['Type', 'Assembly', 'Description'],
+        types.map((type) => [
+          `[${escapeMdx(type.name)}](./${type.slug}/index.mdx)`,
+          `\`${type.assembly}\``,
+          cell(plainText(type.docs.summary ?? { type: 'text', text: '' }).replace(/\s+/g, ' ').trim()),
+        ]),
+      ),
+    );
+  }
+  return `${sections.join('\n\n')}\n`;
+}
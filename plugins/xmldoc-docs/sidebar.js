@@ -0,0 +1,39 @@
+// @ts-check
+// Sidebar items for the pages the plugin generates, built from the same XML
+// files so a sidebars file can include them without listing types by hand.
+
+import { loadXmlDocs, memberSlug, typesByNamespace } from './model.js';
+
+/**
+ * @param {string[]} files Absolute paths of the XML documentation files
+ * @param {{ outputDir: string, label?: string }} options
+ *   `outputDir` is the generated folder relative to the docs instance path.
+ * @returns {import('@docusaurus/plugin-content-docs').SidebarsConfig[string]}
+ */
+export function createXmlDocSidebarItems(files, { outputDir, label = 'API Reference' }) {
+  const model = loadXmlDocs(files);
+  return [
+    {
+      type: 'category',
+      label,
+      link: { type: 'doc', id: `${outputDir}/index` },
+      items: [...typesByNamespace(model)].map(([namespace, types]) => ({
+        type: 'category',
+        label: namespace,
+        items: types.map((type) => {
+          const memberPages = [
+            ...(type.constructors.length > 0 ? [type.constructors[0]] : []),
+            ...[...type.methods.values()].map((overloads) => overloads[0]),
+          ];
+          if (memberPages.length === 0) return { type: 'doc', id: `${outputDir}/${type.slug}/index` };
+          return {
+            type: 'category',
+            label: type.name,
+            link: { type: 'doc', id: `${outputDir}/${type.slug}/index` },
+            items: memberPages.map((member) => ({ type: 'doc', id: `${outputDir}/${type.slug}/${memberSlug(member)}` })),
+          };
+        }),
+      })),
+    },
+  ];
+}
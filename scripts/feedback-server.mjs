@@ -0,0 +1,97 @@
+// @ts-check
+// File-backed stand-in for the page feedback endpoint, for development:
+//
+//   npm run feedback-server
+//   FEEDBACK_ENDPOINT=http://localhost:3031/feedback npm start
+//
+// POST /feedback appends one submission (see src/components/PageFeedback) to
+// FEEDBACK_FILE as a line of JSON, and GET /feedback returns them all as an
+// array for /feedback-report. Bearer tokens are accepted but not checked;
+// the real endpoint has to verify them and the account ID they carry.
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+const port = Number(process.env.FEEDBACK_PORT || 3031);
+const file = path.resolve(process.env.FEEDBACK_FILE || 'feedback.local.jsonl');
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_COMMENT_LENGTH = 2000;
+
+// Every stored submission, or an error naming the first line that is not JSON,
+// e.g. after the file was edited by hand
+function readSubmissions() {
+  if (!fs.existsSync(file)) return { submissions: [] };
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const submissions = [];
+  for (const [i, line] of lines.entries()) {
+    if (!line) continue;
+    try {
+      submissions.push(JSON.parse(line));
+    } catch {
+      return { error: `Line ${i + 1} of ${file} is not valid JSON. Fix or remove it.` };
+    }
+  }
+  return { submissions };
+}
+
+// The submission to store, or a reason it was rejected
+function validate(body) {
+  if (!body || typeof body !== 'object') return { error: 'The body must be a JSON object.' };
+  for (const field of ['pageId', 'docsInstance', 'permalink']) {
+    if (typeof body[field] !== 'string' || !body[field]) return { error: `"${field}" must be a non-empty string.` };
+  }
+  if (typeof body.helpful !== 'boolean') return { error: '"helpful" must be true or false.' };
+  if (body.comment !== undefined && (typeof body.comment !== 'string' || body.comment.length > MAX_COMMENT_LENGTH)) {
+    return { error: `"comment" must be a string of at most ${MAX_COMMENT_LENGTH} characters.` };
+  }
+  const { pageId, title, permalink, docsInstance, version, helpful, comment, accountId } = body;
+  return {
+    submission: { pageId, title, permalink, docsInstance, version, helpful, comment, accountId, receivedAt: new Date().toISOString() },
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+  if (pathname.replace(/\/$/, '') !== '/feedback') return send(res, 404, { title: 'Not found' });
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (req.method === 'GET') {
+    const { submissions, error } = readSubmissions();
+    if (!submissions) return send(res, 500, { title: 'Feedback file unreadable', detail: error });
+    return send(res, 200, submissions);
+  }
+  if (req.method !== 'POST') return send(res, 405, { title: 'Method not allowed' });
+
+  let raw = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    raw += chunk;
+    if (raw.length > MAX_BODY_BYTES) req.destroy();
+  });
+  req.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      return send(res, 400, { title: 'Bad request', detail: 'The body is not valid JSON.' });
+    }
+    const { submission, error } = validate(body);
+    if (!submission) return send(res, 400, { title: 'Bad request', detail: error });
+    fs.appendFileSync(file, `${JSON.stringify(submission)}\n`);
+    send(res, 201, submission);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Page feedback stand-in on http://localhost:${port}/feedback, writing to ${file}`);
+});
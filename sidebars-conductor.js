@@ -1,20 +0,0 @@
-// @ts-check
-
-/**
- * Conductor Sidebar Configuration
- * @type {import('@docusaurus/plugin-content-docs').SidebarsConfig}
- */
-const conductorSidebars = {
-  conductorSidebar: [
-    'conductor',
-    {
-      type: 'category',
-      label: '🚀 Getting Started',
-      items: [
-        'conductor',
-      ],
-    },
-  ],
-};
-
-export default conductorSidebars;
\ No newline at end of file
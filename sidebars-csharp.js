@@ -1,57 +1,22 @@
 // @ts-check
 
-/**
- * Creating a sidebar enables you to:
- - create an ordered group of docs
- - render a sidebar for each doc of that group
- - provide next/previous navigation
+import { fileURLToPath } from 'url';
+import { createXmlDocSidebarItems } from './plugins/xmldoc-docs/index.js';
+import { xmlDocFiles } from './xmldoc/files.js';
 
- The sidebars can be generated from the filesystem, or explicitly defined here.
+const xmlDocPaths = xmlDocFiles.map((file) => fileURLToPath(new URL(file, import.meta.url)));
 
- Create as many sidebars as you want.
+/**
+ * C# SDK Sidebar Configuration
+ * The guides come from their sidebar front matter, see plugins/sidebars. The
+ * API reference is generated from the XML documentation by plugins/xmldoc-docs.
+ * @type {import('@docusaurus/plugin-content-docs').SidebarsConfig}
  */
-
-// @ts-check
-
-/** @type {import('@docusaurus/plugin-content-docs').SidebarsConfig} */
-const sidebars = {
-  // By default, Docusaurus generates a sidebar from the docs folder structure
-  csharpSidebar: [
-    'intro',
-    {
-      type: 'category',
-      label: '🚀 Getting Started',
-      items: [
-        'intro',
-      ],
-    },
-    {
-      type: 'category', 
-      label: '📚 Client Libraries',
-      items: [
-        {
-          type: 'doc',
-          id: 'CSharp Data Services Client',
-          label: '🌐 Data Services Client',
-        },
-        {
-          type: 'doc',
-          id: 'CSharp Query Client',
-          label: '🔍 Query Client',
-        },
-        {
-          type: 'doc',
-          id: 'CSharp Order Client', 
-          label: '📋 Order Client',
-        },
-        {
-          type: 'doc',
-          id: 'CSharp Accessioning Client',
-          label: '🏷️ Accessioning Client',
-        },
-      ],
-    },
+const csharpSidebars = {
+  docsSidebar: [
+    { type: 'autogenerated', dirName: '.' },
+    ...createXmlDocSidebarItems(xmlDocPaths, { outputDir: 'api', label: '📖 API Reference' }),
   ],
 };
 
-export default sidebars;
\ No newline at end of file
+export default csharpSidebars;
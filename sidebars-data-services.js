@@ -1,20 +1,21 @@
 // @ts-check
 
+import { fileURLToPath } from 'url';
+import { createApiSidebarItems } from './plugins/openapi-docs/index.js';
+
+const specPath = fileURLToPath(new URL('./openapi/data-services.json', import.meta.url));
+
 /**
  * Data Services Sidebar Configuration
+ * The guides come from their sidebar front matter, see plugins/sidebars. The
+ * API reference is generated from the OpenAPI spec by plugins/openapi-docs.
  * @type {import('@docusaurus/plugin-content-docs').SidebarsConfig}
  */
 const dataServicesSidebars = {
-  dataServicesSidebar: [
-    'data-services',
-    {
-      type: 'category',
-      label: '🚀 Getting Started',
-      items: [
-        'data-services',
-      ],
-    },
+  docsSidebar: [
+    { type: 'autogenerated', dirName: '.' },
+    ...createApiSidebarItems(specPath, { outputDir: 'api', label: '📖 API Reference' }),
   ],
 };
 
-export default dataServicesSidebars;
\ No newline at end of file
+export default dataServicesSidebars;
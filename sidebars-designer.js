@@ -1,20 +0,0 @@
-// @ts-check
-
-/**
- * Designer Sidebar Configuration
- * @type {import('@docusaurus/plugin-content-docs').SidebarsConfig}
- */
-const designerSidebars = {
-  designerSidebar: [
-    'designer',
-    {
-      type: 'category',
-      label: '🚀 Getting Started',
-      items: [
-        'designer',
-      ],
-    },
-  ],
-};
-
-export default designerSidebars;
\ No newline at end of file
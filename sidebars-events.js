@@ -0,0 +1,27 @@
+// @ts-check
+
+/**
+ * Events Sidebar Configuration
+ * The guides come from their sidebar front matter, see plugins/sidebars. The
+ * event type pages are generated from schemas/events by plugins/event-docs;
+ * the hand-written guide of each event type is in guides/.
+ * @type {import('@docusaurus/plugin-content-docs').SidebarsConfig}
+ */
+const eventsSidebars = {
+  docsSidebar: [
+    { type: 'autogenerated', dirName: '.' },
+    {
+      type: 'category',
+      label: '📨 Event Types',
+      collapsed: false,
+      items: [{ type: 'autogenerated', dirName: 'types' }],
+    },
+    {
+      type: 'category',
+      label: '📘 Event Guides',
+      items: [{ type: 'autogenerated', dirName: 'guides' }],
+    },
+  ],
+};
+
+export default eventsSidebars;
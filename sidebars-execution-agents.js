@@ -1,20 +0,0 @@
-// @ts-check
-
-/**
- * Execution Agents Sidebar Configuration
- * @type {import('@docusaurus/plugin-content-docs').SidebarsConfig}
- */
-const executionAgentsSidebars = {
-  executionAgentsSidebar: [
-    {
-      type: 'category',
-      label: '🚀 Getting Started',
-      items: [
-        'getting-started',
-        'Installation',
-      ],
-    },
-  ],
-};
-
-export default executionAgentsSidebars;
\ No newline at end of file
@@ -1,20 +0,0 @@
-// @ts-check
-
-/**
- * Scheduler Sidebar Configuration
- * @type {import('@docusaurus/plugin-content-docs').SidebarsConfig}
- */
-const schedulerSidebars = {
-  schedulerSidebar: [
-    'scheduler',
-    {
-      type: 'category',
-      label: '🚀 Getting Started',
-      items: [
-        'scheduler',
-      ],
-    },
-  ],
-};
-
-export default schedulerSidebars;
\ No newline at end of file
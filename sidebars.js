@@ -1,33 +1,12 @@
 // @ts-check
 
 /**
- * Main Documentation Sidebar Configuration
+ * Default sidebar for docs instances without generated sections. Its items
+ * come from each doc's sidebar front matter, see plugins/sidebars.
  * @type {import('@docusaurus/plugin-content-docs').SidebarsConfig}
  */
 const sidebars = {
-  tutorialSidebar: [
-    'intro',
-    {
-      type: 'category',
-      label: 'Getting Started',
-      items: [
-        'tutorial-basics/create-a-document',
-        'tutorial-basics/create-a-page',
-        'tutorial-basics/create-a-blog-post',
-        'tutorial-basics/markdown-features',
-        'tutorial-basics/deploy-your-site',
-        'tutorial-basics/congratulations',
-      ],
-    },
-    {
-      type: 'category',
-      label: 'Advanced',
-      items: [
-        'tutorial-extras/manage-docs-versions',
-        'tutorial-extras/translate-your-site',
-      ],
-    },
-  ],
+  docsSidebar: [{ type: 'autogenerated', dirName: '.' }],
 };
 
 export default sidebars;
@@ -1,7 +1,23 @@
 // src/auth/AuthProvider.jsx
 import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
 import ExecutionEnvironment from "@docusaurus/ExecutionEnvironment";
-import { msalConfig, loginRequest } from "./msalConfig";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { resolveAuthConfig } from "./authConfig";
+import { createAuthAdapter } from "./adapters";
+import { createSessionChannel } from "./sessionSync";
+import { saveReturnTo } from "./navigation";
+import { getAccountClaims } from "./access";
+
+const NO_SESSION = { expiresOn: null, expiring: false };
+// Kept in sessionStorage so errors raised during a redirect survive it
+const LAST_ERROR_KEY = "auth.lastError";
+const SESSION_DEFAULTS = { refreshBeforeExpirySeconds: 300 };
+// Bounds for the refresh timer: never spin faster than this, and stay under
+// the largest delay setTimeout accepts.
+const MIN_REFRESH_DELAY_MS = 30 * 1000;
+const MAX_REFRESH_DELAY_MS = 2 ** 31 - 1;
+// Failed refreshes are retried after 30 s, doubling up to this
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
 
 const AuthContext = createContext({
   isAuthenticated: false,
@@ -9,94 +25,260 @@ const AuthContext = createContext({
   login: async () => {},
   logout: () => {},
   getAccessToken: async () => null,
+  getAllAccounts: () => [],
+  switchAccount: async () => {},
+  session: NO_SESSION,
+  renewSession: async () => {},
+  lastError: null,
+  error: null,
+  retry: () => {},
   ready: false,
+  showProtectedContent: () => () => {},
 });
 
-export function AuthProvider({ children }) {
+function readLastError() {
+  try {
+    return JSON.parse(sessionStorage.getItem(LAST_ERROR_KEY));
+  } catch {
+    return null;
+  }
+}
+
+// `adapter` replaces the one chosen by `customFields.auth.provider`, e.g. to
+// render components against a mock adapter in tests.
+export function AuthProvider({ children, adapter: adapterOverride }) {
+  const { siteConfig } = useDocusaurusContext();
   const [account, setAccount] = useState(null);
+  const [session, setSession] = useState(NO_SESSION);
+  const [lastError, setLastError] = useState(null);
   const [ready, setReady] = useState(false);
-  const pcaRef = useRef(null); // { pca, InteractionRequiredAuthError }
+  // Why sign-in cannot go on, `{ operation, message }`, until `retry`
+  const [failure, setFailure] = useState(null);
+  const [initAttempt, setInitAttempt] = useState(0);
+  const adapterRef = useRef(null);
+  const accountRef = useRef(null);
+  const channelRef = useRef(null);
+  const refreshTimerRef = useRef(null);
+  const expiresOnRef = useRef(null);
+  const refreshFailuresRef = useRef(0);
+  // How many <Protected> blocks on the page currently show their content
+  const protectedShownRef = useRef(0);
+  const { refreshBeforeExpirySeconds } = { ...SESSION_DEFAULTS, ...siteConfig.customFields?.auth?.session };
+
+  const signedIn = (next) => {
+    // The last known expiry belongs to the account it was learned for
+    if (next?.homeAccountId !== accountRef.current?.homeAccountId) {
+      expiresOnRef.current = null;
+      refreshFailuresRef.current = 0;
+    }
+    accountRef.current = next;
+    setAccount(next);
+  };
+
+  const recordError = (operation, error) => {
+    const entry = {
+      operation,
+      name: error?.name ?? "Error",
+      message: error?.message ?? String(error),
+      errorCode: error?.errorCode ?? null,
+      subError: error?.subError || null,
+      correlationId: error?.correlationId ?? null,
+      at: new Date().toISOString(),
+    };
+    setLastError(entry);
+    try {
+      sessionStorage.setItem(LAST_ERROR_KEY, JSON.stringify(entry));
+    } catch {}
+  };
+
+  // Fetches a token silently to learn when the session expires, and schedules
+  // the next background refresh ahead of that. Returns false if the session
+  // could not be renewed without user interaction.
+  const trackSession = async (forceRefresh = false) => {
+    clearTimeout(refreshTimerRef.current);
+    try {
+      const token = await adapterRef.current.acquireTokenSilent(undefined, { forceRefresh });
+      if (!token) {
+        setSession(NO_SESSION);
+        return false;
+      }
+      expiresOnRef.current = token.expiresOn;
+      refreshFailuresRef.current = 0;
+      setSession({ expiresOn: token.expiresOn, expiring: false });
+      const delay = token.expiresOn - refreshBeforeExpirySeconds * 1000 - Date.now();
+      refreshTimerRef.current = setTimeout(
+        () => trackSession(true),
+        Math.min(Math.max(delay, MIN_REFRESH_DELAY_MS), MAX_REFRESH_DELAY_MS)
+      );
+      return true;
+    } catch (e) {
+      console.warn("Background token refresh failed:", e);
+      recordError("refresh", e);
+      // Without a token yet, the ID token tells when the session ends
+      const exp = getAccountClaims(accountRef.current).exp;
+      expiresOnRef.current ??= typeof exp === "number" ? exp * 1000 : null;
+      setSession({ expiresOn: expiresOnRef.current, expiring: true });
+      const retryDelay = Math.min(MIN_REFRESH_DELAY_MS * 2 ** refreshFailuresRef.current, MAX_RETRY_DELAY_MS);
+      refreshFailuresRef.current += 1;
+      refreshTimerRef.current = setTimeout(() => trackSession(true), retryDelay);
+      return false;
+    }
+  };
 
   useEffect(() => {
     let cancelled = false;
 
     async function init() {
       if (!ExecutionEnvironment.canUseDOM) return;
+      setLastError(readLastError());
+      setFailure(null);
 
       try {
-        const { PublicClientApplication, InteractionRequiredAuthError } = await import("@azure/msal-browser");
-        const pca = new PublicClientApplication(msalConfig);
-        await pca.initialize();
-        pcaRef.current = { pca, InteractionRequiredAuthError };
+        const adapter = adapterOverride ?? (await createAuthAdapter(resolveAuthConfig(siteConfig)));
+        adapterRef.current = adapter;
 
-        const result = await pca.handleRedirectPromise();
+        const active = await adapter.init();
         if (cancelled) return;
-
-        if (result?.account) {
-          pca.setActiveAccount(result.account);
-          setAccount(result.account);
-        } else {
-          const active = pca.getActiveAccount() || pca.getAllAccounts()[0] || null;
-          if (active) {
-            pca.setActiveAccount(active);
-            setAccount(active);
-          }
+        signedIn(active);
+        if (active) {
+          channelRef.current?.post({ type: "login", accountId: active.homeAccountId });
+          trackSession();
         }
       } catch (e) {
-        console.error("MSAL init error:", e);
+        console.error("Auth init error:", e);
+        recordError("init", e);
+        if (!cancelled) setFailure({ operation: "init", message: e?.message ?? String(e) });
       } finally {
         if (!cancelled) setReady(true);
       }
     }
 
+    channelRef.current = createSessionChannel((message) => {
+      const adapter = adapterRef.current;
+      if (!adapter) return;
+      if (message.type === "logout" && accountRef.current) {
+        clearTimeout(refreshTimerRef.current);
+        // Leave pages showing content the reader may no longer see; others
+        // just show the signed-out state
+        if (protectedShownRef.current > 0) {
+          window.location.replace(siteConfig.baseUrl);
+          return;
+        }
+        signedIn(null);
+        setSession(NO_SESSION);
+      } else if (message.type === "login" && message.accountId !== accountRef.current?.homeAccountId) {
+        const next = adapter.getActiveAccount();
+        signedIn(next);
+        if (next) trackSession();
+      }
+    });
+
+    // Timers are throttled in background tabs, so check again on return
+    const onVisible = () => {
+      if (document.visibilityState !== "visible" || !accountRef.current || !expiresOnRef.current) return;
+      if (expiresOnRef.current - refreshBeforeExpirySeconds * 1000 <= Date.now()) trackSession(true);
+    };
+    document.addEventListener("visibilitychange", onVisible);
+
     init();
-    return () => { cancelled = true; };
-  }, []);
+    return () => {
+      cancelled = true;
+      clearTimeout(refreshTimerRef.current);
+      channelRef.current?.close();
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [adapterOverride, initAttempt]);
 
-  const login = async () => {
-    if (!ExecutionEnvironment.canUseDOM || !pcaRef.current) return;
+  // `returnTo` defaults to the current page; the auth-redirect page sends the
+  // reader there after a redirect sign-in.
+  const login = async ({ returnTo, ...options } = {}) => {
+    if (!ExecutionEnvironment.canUseDOM || !adapterRef.current) return;
+    saveReturnTo(siteConfig.baseUrl, returnTo);
+    setFailure(null);
+    let next;
     try {
-      const currentPath = window.location.pathname + window.location.search + window.location.hash;
-      sessionStorage.setItem("returnTo", currentPath || "/biosero-api-docs/");
-    } catch {}
-    await pcaRef.current.pca.loginRedirect({ ...loginRequest, authority: msalConfig.auth.authority });
+      next = await adapterRef.current.login(options);
+    } catch (e) {
+      console.error("Login error:", e);
+      recordError("login", e);
+      setFailure({ operation: "login", message: e?.message ?? String(e) });
+      return;
+    }
+    if (next) {
+      signedIn(next);
+      channelRef.current?.post({ type: "login", accountId: next.homeAccountId });
+      trackSession();
+    }
   };
 
-  const logout = () => {
-    if (!ExecutionEnvironment.canUseDOM || !pcaRef.current) return;
-    const { pca } = pcaRef.current;
-    const active = pca.getActiveAccount();
-    pca.logoutRedirect({
-      account: active || undefined,
-      postLogoutRedirectUri: msalConfig.auth.postLogoutRedirectUri,
-    });
+  const logout = async () => {
+    if (!ExecutionEnvironment.canUseDOM || !adapterRef.current) return;
+    clearTimeout(refreshTimerRef.current);
+    channelRef.current?.post({ type: "logout" });
+    await adapterRef.current.logout();
+    signedIn(null);
+    setSession(NO_SESSION);
   };
 
-  const getAccessToken = async (scopes = loginRequest.scopes) => {
-    if (!ExecutionEnvironment.canUseDOM || !pcaRef.current) return null;
-    const { pca, InteractionRequiredAuthError } = pcaRef.current;
-    const active = pca.getActiveAccount();
-    if (!active) {
-      await pca.loginRedirect({ ...loginRequest, authority: msalConfig.auth.authority });
-      return null;
-    }
+  // `forceRefresh` skips the token cache, e.g. after an API rejected a token
+  // that has not expired yet.
+  const getAccessToken = async (scopes, options) => {
+    if (!ExecutionEnvironment.canUseDOM || !adapterRef.current) return null;
     try {
-      const result = await pca.acquireTokenSilent({ account: active, scopes });
-      return result?.accessToken ?? null;
+      const token = await adapterRef.current.getAccessToken(scopes, options);
+      // Popup sign-in can happen inside getAccessToken; pick up the account
+      if (token && !accountRef.current) signedIn(adapterRef.current.getActiveAccount());
+      return token;
     } catch (e) {
-      const needsInteraction = e?.name === "InteractionRequiredAuthError" || (typeof InteractionRequiredAuthError !== "undefined" && e instanceof InteractionRequiredAuthError);
-      if (needsInteraction) {
-        await pca.acquireTokenRedirect({ scopes, authority: msalConfig.auth.authority });
-        return null;
-      }
       console.error("Token error:", e);
+      recordError("getAccessToken", e);
       return null;
     }
   };
 
+  const getAllAccounts = () => adapterRef.current?.getAllAccounts() ?? [];
+
+  // Makes another cached account the active one without leaving the page.
+  const switchAccount = async (next) => {
+    if (!adapterRef.current) return;
+    adapterRef.current.setActiveAccount(next);
+    const active = adapterRef.current.getActiveAccount();
+    signedIn(active);
+    if (active) {
+      channelRef.current?.post({ type: "login", accountId: active.homeAccountId });
+      trackSession();
+    }
+  };
+
+  // Tries a silent refresh first and only falls back to interactive sign-in,
+  // which brings the reader back to the current page.
+  const renewSession = async () => {
+    if (!adapterRef.current) return;
+    if (!(await trackSession(true))) await login();
+  };
+
+  // Starts the failed step again: setting up the provider, or signing in
+  const retry = () => {
+    if (failure?.operation === "init") {
+      setReady(false);
+      setInitAttempt((attempt) => attempt + 1);
+    } else {
+      login();
+    }
+  };
+
+  // Called by <Protected> while it shows its content; returns the cleanup
+  const showProtectedContent = () => {
+    protectedShownRef.current += 1;
+    return () => {
+      protectedShownRef.current -= 1;
+    };
+  };
+
   const value = useMemo(() => ({
-    isAuthenticated: !!account, account, login, logout, getAccessToken, ready
-  }), [account, ready]);
+    isAuthenticated: !!account, account, login, logout, getAccessToken, getAllAccounts, switchAccount, session, renewSession, lastError,
+    error: failure, retry, ready, showProtectedContent
+  }), [account, session, lastError, failure, ready]);
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 }
@@ -0,0 +1,89 @@
+// src/auth/access.js
+//
+// Role and group checks against the ID-token claims of the signed-in account.
+// Which claims carry roles and groups is configured in
+// `customFields.auth.claims`; B2C custom policies often emit them as a single
+// comma-separated string, so both arrays and strings are accepted.
+
+const DEFAULT_CLAIMS = { roles: ["roles"], groups: ["groups"] };
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === "string") return value.split(/[,\s]+/).filter(Boolean);
+  return [];
+}
+
+function collectClaim(claims, names) {
+  const values = toList(names).flatMap((name) => toList(claims[name]));
+  return [...new Set(values.map((v) => v.toLowerCase()))];
+}
+
+export function getAccountClaims(account) {
+  return account?.idTokenClaims ?? {};
+}
+
+export function getAccountRoles(account, claimNames = DEFAULT_CLAIMS) {
+  return collectClaim(getAccountClaims(account), claimNames.roles ?? DEFAULT_CLAIMS.roles);
+}
+
+export function getAccountGroups(account, claimNames = DEFAULT_CLAIMS) {
+  return collectClaim(getAccountClaims(account), claimNames.groups ?? DEFAULT_CLAIMS.groups);
+}
+
+/**
+ * True when `account` is signed in and, if `roles` or `groups` are given,
+ * holds at least one of them. Comparison is case-insensitive.
+ */
+export function hasAccess(account, { roles = [], groups = [] } = {}, claimNames = DEFAULT_CLAIMS) {
+  if (!account) return false;
+  if (roles.length === 0 && groups.length === 0) return true;
+
+  const accountRoles = getAccountRoles(account, claimNames);
+  const accountGroups = getAccountGroups(account, claimNames);
+  return (
+    roles.some((role) => accountRoles.includes(role.toLowerCase())) ||
+    groups.some((group) => accountGroups.includes(group.toLowerCase()))
+  );
+}
+
+/**
+ * Parses an access policy string as used in `customFields.docsSections` and
+ * in doc frontmatter: `public`, `authenticated`, `role:a,b` or `group:a,b`.
+ * Unknown values are treated as `authenticated` so a typo never makes a page
+ * public.
+ */
+export function parseAccessPolicy(policy = "public") {
+  const [kind, list = ""] = String(policy).trim().split(":");
+  const values = list.split(",").map((v) => v.trim()).filter(Boolean);
+  switch (kind) {
+    case "public":
+      return { public: true, roles: [], groups: [] };
+    case "role":
+      return { public: false, roles: values, groups: [] };
+    case "group":
+      return { public: false, roles: [], groups: values };
+    default:
+      return { public: false, roles: [], groups: [] };
+  }
+}
+
+/**
+ * The policy for one doc: its `access` frontmatter if set, otherwise the
+ * policy declared for its docs plugin instance.
+ */
+export function resolveDocAccess(sections = [], pluginId, frontMatter = {}) {
+  const section = sections.find((s) => s.id === pluginId);
+  return parseAccessPolicy(frontMatter.access ?? section?.access ?? "public");
+}
+
+/** True when `account` (or an anonymous visitor) may read under `access`. */
+export function canAccess(account, access, claimNames = DEFAULT_CLAIMS) {
+  return access.public || hasAccess(account, access, claimNames);
+}
+
+export function describeAccess(access) {
+  if (access.public) return "Public";
+  if (access.roles.length > 0) return `Roles: ${access.roles.join(", ")}`;
+  if (access.groups.length > 0) return `Groups: ${access.groups.join(", ")}`;
+  return "Any signed-in user";
+}
@@ -0,0 +1,64 @@
+// src/auth/adapters/index.js
+//
+// Each adapter backs the useAuth() contract with a different identity
+// backend. AuthProvider only ever talks to this interface.
+
+/**
+ * The signed-in user, shaped like MSAL's `AccountInfo` so components can read
+ * `name`, `username` and `idTokenClaims` whatever the backend.
+ * @typedef {object} AuthAccount
+ * @property {string} homeAccountId
+ * @property {string} username
+ * @property {string} [name]
+ * @property {Record<string, unknown>} idTokenClaims
+ */
+
+/**
+ * @typedef {object} AuthToken
+ * @property {string | null} accessToken
+ * @property {number} expiresOn  Expiry as epoch milliseconds.
+ */
+
+/**
+ * @typedef {object} AuthAdapter
+ * @property {string} name
+ * @property {() => Promise<AuthAccount | null>} init
+ *   Completes any pending sign-in redirect and returns the signed-in account.
+ * @property {(options?: { prompt?: string }) => Promise<AuthAccount | null | void>} login
+ *   Starts sign-in. Adapters that do not leave the page resolve to the account.
+ *   `prompt: "select_account"` asks the identity provider for an account picker.
+ * @property {() => Promise<void>} logout
+ * @property {() => AuthAccount | null} getActiveAccount
+ *   Re-reads the signed-in account from storage shared by all tabs.
+ * @property {() => AuthAccount[]} getAllAccounts
+ *   Accounts this browser has signed in with and can switch between silently.
+ * @property {(account: AuthAccount) => void} setActiveAccount
+ * @property {(scopes?: string[], options?: { forceRefresh?: boolean }) => Promise<AuthToken | null>} acquireTokenSilent
+ *   Returns a token without user interaction, or throws if sign-in is needed.
+ * @property {(scopes?: string[], options?: { forceRefresh?: boolean }) => Promise<string | null>} getAccessToken
+ *   Like `acquireTokenSilent`, but falls back to interactive sign-in.
+ */
+
+/**
+ * Creates the adapter named by `resolved.provider`. Backends are imported on
+ * demand so only the one in use ends up in the browser bundle.
+ * @returns {Promise<AuthAdapter>}
+ */
+export async function createAuthAdapter(resolved) {
+  switch (resolved.provider) {
+    case "msal": {
+      const { createMsalAdapter } = await import("./msal");
+      return createMsalAdapter(resolved);
+    }
+    case "oidc": {
+      const { createOidcAdapter } = await import("./oidc");
+      return createOidcAdapter(resolved);
+    }
+    case "mock": {
+      const { createMockAdapter } = await import("./mock");
+      return createMockAdapter(resolved);
+    }
+    default:
+      throw new Error(`Unknown auth provider "${resolved.provider}".`);
+  }
+}
@@ -0,0 +1,89 @@
+// src/auth/adapters/mock.js
+//
+// Offline stand-in for local development and component tests. Signs in as
+// one of the fake users from `customFields.auth.mock.users` without any
+// network calls. Pick a user with `?mockUser=<id>` on the login URL; the
+// first user is the default. Sessions last `mock.sessionMinutes`; set a short
+// value and `mock.allowRefresh: false` to exercise expiry handling.
+
+const USER_KEY = "mockAuth.user";
+const EXPIRES_KEY = "mockAuth.expiresAt";
+
+function toAccount(user) {
+  return {
+    homeAccountId: user.id,
+    username: user.username,
+    name: user.name,
+    idTokenClaims: { sub: user.id, name: user.name, emails: [user.username], ...user.claims },
+  };
+}
+
+/** @returns {Promise<import("./index").AuthAdapter>} */
+export async function createMockAdapter(resolved) {
+  const { users, sessionMinutes = 60, allowRefresh = true } = resolved;
+  const findUser = (id) => users.find((u) => u.id === id);
+  const currentUser = () => findUser(localStorage.getItem(USER_KEY));
+
+  function startSession(user) {
+    localStorage.setItem(USER_KEY, user.id);
+    localStorage.setItem(EXPIRES_KEY, String(Date.now() + sessionMinutes * 60 * 1000));
+  }
+
+  const adapter = {
+    name: "mock",
+
+    async init() {
+      return adapter.getActiveAccount();
+    },
+
+    async login() {
+      const requested = new URLSearchParams(window.location.search).get("mockUser");
+      const user = findUser(requested) ?? users[0];
+      if (!user) throw new Error("The mock auth provider has no users configured in customFields.auth.mock.users.");
+      startSession(user);
+      return toAccount(user);
+    },
+
+    async logout() {
+      localStorage.removeItem(USER_KEY);
+      localStorage.removeItem(EXPIRES_KEY);
+      window.location.assign(resolved.postLogoutRedirectUri);
+    },
+
+    getActiveAccount() {
+      const user = currentUser();
+      return user ? toAccount(user) : null;
+    },
+
+    getAllAccounts() {
+      return users.map(toAccount);
+    },
+
+    setActiveAccount(account) {
+      const user = findUser(account.homeAccountId);
+      if (user) startSession(user);
+    },
+
+    async acquireTokenSilent(scopes, { forceRefresh = false } = {}) {
+      const user = currentUser();
+      if (!user) return null;
+      if (forceRefresh) {
+        if (!allowRefresh) throw new Error("Mock session cannot be refreshed silently.");
+        startSession(user);
+      }
+      const expiresOn = Number(localStorage.getItem(EXPIRES_KEY));
+      if (expiresOn <= Date.now()) throw new Error("Mock session expired.");
+      return {
+        accessToken: `mock.${encodeURIComponent(JSON.stringify(toAccount(user).idTokenClaims))}`,
+        expiresOn,
+      };
+    },
+
+    async getAccessToken(scopes, { forceRefresh = false } = {}) {
+      const token = await adapter.acquireTokenSilent(scopes, { forceRefresh }).catch(() => null);
+      return token?.accessToken ?? null;
+    },
+  };
+
+  return adapter;
+}
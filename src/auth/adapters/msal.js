@@ -0,0 +1,128 @@
+// src/auth/adapters/msal.js
+//
+// Azure AD B2C through @azure/msal-browser. Interactive sign-in uses either
+// full-page redirects or a popup, per `auth.interaction`.
+import { createLoginRequest } from "../authConfig";
+
+function createMsalConfig(resolved, LogLevel) {
+  const levelName = resolved.logLevel.charAt(0).toUpperCase() + resolved.logLevel.slice(1);
+  return {
+    auth: {
+      clientId: resolved.clientId,
+      authority: resolved.authority,
+      knownAuthorities: resolved.knownAuthorities,
+      redirectUri: resolved.redirectUri,
+      postLogoutRedirectUri: resolved.postLogoutRedirectUri,
+      // The auth-redirect page sends the reader back itself, keeping the hash
+      navigateToLoginRequestUrl: false,
+    },
+    cache: {
+      cacheLocation: "localStorage",
+      storeAuthStateInCookie: false,
+    },
+    system: {
+      allowNativeBroker: false,
+      windowHashTimeout: 60000,
+      loadFrameTimeout: 6000,
+      loggerOptions: {
+        piiLoggingEnabled: false,
+        logLevel: LogLevel[levelName],
+        loggerCallback: (level, message, containsPii) => {
+          if (containsPii) return;
+          if (level === LogLevel.Error) console.error(`MSAL: ${message}`);
+          else if (level === LogLevel.Warning) console.warn(`MSAL: ${message}`);
+          else console.debug(`MSAL: ${message}`);
+        },
+      },
+    },
+  };
+}
+
+/** @returns {Promise<import("./index").AuthAdapter>} */
+export async function createMsalAdapter(resolved) {
+  const { PublicClientApplication, InteractionRequiredAuthError, LogLevel } = await import("@azure/msal-browser");
+  const msalConfig = createMsalConfig(resolved, LogLevel);
+  const loginRequest = createLoginRequest(resolved);
+  const { authority } = msalConfig.auth;
+  const pca = new PublicClientApplication(msalConfig);
+  const usePopup = resolved.interaction === "popup";
+  const popupOptions = { redirectUri: resolved.popupRedirectUri };
+
+  const adapter = {
+    name: "msal",
+
+    async init() {
+      await pca.initialize();
+      const result = await pca.handleRedirectPromise();
+      if (result?.account) pca.setActiveAccount(result.account);
+      return adapter.getActiveAccount();
+    },
+
+    async login(options = {}) {
+      const request = { ...loginRequest, ...options, authority };
+      if (!usePopup) {
+        await pca.loginRedirect(request);
+        return null;
+      }
+      const result = await pca.loginPopup({ ...request, ...popupOptions });
+      pca.setActiveAccount(result.account);
+      return result.account;
+    },
+
+    async logout() {
+      const active = pca.getActiveAccount();
+      await pca.logoutRedirect({
+        account: active || undefined,
+        postLogoutRedirectUri: msalConfig.auth.postLogoutRedirectUri,
+      });
+    },
+
+    getActiveAccount() {
+      const active = pca.getActiveAccount() || pca.getAllAccounts()[0] || null;
+      if (active) pca.setActiveAccount(active);
+      return active;
+    },
+
+    getAllAccounts() {
+      return pca.getAllAccounts();
+    },
+
+    setActiveAccount(account) {
+      pca.setActiveAccount(pca.getAccount({ homeAccountId: account.homeAccountId }) ?? account);
+    },
+
+    async acquireTokenSilent(scopes = loginRequest.scopes, { forceRefresh = false } = {}) {
+      const active = pca.getActiveAccount();
+      if (!active) return null;
+      const result = await pca.acquireTokenSilent({ account: active, scopes, forceRefresh });
+      return {
+        accessToken: result.accessToken || null,
+        expiresOn: result.expiresOn?.getTime() ?? result.idTokenClaims.exp * 1000,
+      };
+    },
+
+    async getAccessToken(scopes = loginRequest.scopes, { forceRefresh = false } = {}) {
+      if (!pca.getActiveAccount()) {
+        await adapter.login();
+        if (!usePopup) return null;
+      }
+      try {
+        const token = await adapter.acquireTokenSilent(scopes, { forceRefresh });
+        return token?.accessToken ?? null;
+      } catch (e) {
+        const needsInteraction = e?.name === "InteractionRequiredAuthError" || e instanceof InteractionRequiredAuthError;
+        if (needsInteraction) {
+          if (!usePopup) {
+            await pca.acquireTokenRedirect({ scopes, authority });
+            return null;
+          }
+          const result = await pca.acquireTokenPopup({ scopes, authority, ...popupOptions });
+          return result.accessToken || null;
+        }
+        throw e;
+      }
+    },
+  };
+
+  return adapter;
+}
@@ -0,0 +1,212 @@
+// src/auth/adapters/oidc.js
+//
+// Standards-based OpenID Connect: authorization code flow with PKCE against
+// any issuer that publishes a discovery document, e.g. an on-prem identity
+// server. Tokens are kept in localStorage so all tabs share one session.
+import { createLoginRequest } from "../authConfig";
+
+const PENDING_KEY = "oidc.pending";
+const SESSION_KEY = "oidc.session";
+// Renew access tokens this long before they expire
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+function base64UrlEncode(bytes) {
+  let binary = "";
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(text) {
+  const padded = text.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(text.length / 4) * 4, "=");
+  return decodeURIComponent(
+    Array.from(atob(padded), (c) => `%${c.charCodeAt(0).toString(16).padStart(2, "0")}`).join("")
+  );
+}
+
+function randomString() {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+async function pkceChallenge(verifier) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+// The ID token comes straight from the token endpoint over TLS, so its
+// signature is not re-validated here (OpenID Connect Core 3.1.3.7).
+function decodeJwtClaims(jwt) {
+  return JSON.parse(base64UrlDecode(jwt.split(".")[1]));
+}
+
+function readJson(storage, key) {
+  try {
+    return JSON.parse(storage.getItem(key)) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function toAccount(claims) {
+  return {
+    homeAccountId: claims.sub,
+    username: claims.email ?? claims.preferred_username ?? claims.sub,
+    name: claims.name,
+    idTokenClaims: claims,
+  };
+}
+
+/** @returns {Promise<import("./index").AuthAdapter>} */
+export async function createOidcAdapter(resolved) {
+  const loginRequest = createLoginRequest(resolved);
+  let metadata = null;
+
+  async function discover() {
+    if (metadata) return metadata;
+    const response = await fetch(resolved.metadataUrl);
+    if (!response.ok) throw new Error(`OIDC discovery failed: HTTP ${response.status} from ${resolved.metadataUrl}`);
+    metadata = await response.json();
+    return metadata;
+  }
+
+  async function requestTokens(params) {
+    const { token_endpoint } = await discover();
+    const response = await fetch(token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ client_id: resolved.clientId, ...params }),
+    });
+    const body = await response.json();
+    if (!response.ok) throw new Error(`OIDC token request failed: ${body.error_description ?? body.error ?? response.status}`);
+    return body;
+  }
+
+  function saveSession(tokens, previous = {}) {
+    const idToken = tokens.id_token ?? previous.idToken;
+    const session = {
+      idToken,
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token ?? previous.refreshToken,
+      expiresAt: Date.now() + (tokens.expires_in ?? 3600) * 1000,
+      claims: idToken ? decodeJwtClaims(idToken) : previous.claims,
+    };
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    return session;
+  }
+
+  async function redirectToLogin(prompt = loginRequest.prompt) {
+    const { authorization_endpoint } = await discover();
+    const pending = { state: randomString(), nonce: randomString(), verifier: randomString() };
+    sessionStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: resolved.clientId,
+      redirect_uri: resolved.redirectUri,
+      scope: loginRequest.scopes.join(" "),
+      state: pending.state,
+      nonce: pending.nonce,
+      code_challenge: await pkceChallenge(pending.verifier),
+      code_challenge_method: "S256",
+    });
+    if (prompt) params.set("prompt", prompt);
+    window.location.assign(`${authorization_endpoint}?${params}`);
+  }
+
+  async function completeRedirect(params) {
+    const pending = readJson(sessionStorage, PENDING_KEY);
+    sessionStorage.removeItem(PENDING_KEY);
+    window.history.replaceState(null, "", window.location.pathname + window.location.hash);
+
+    if (params.has("error")) {
+      throw new Error(`OIDC sign-in failed: ${params.get("error_description") ?? params.get("error")}`);
+    }
+    if (!pending || params.get("state") !== pending.state) {
+      throw new Error("OIDC sign-in failed: state mismatch.");
+    }
+
+    const tokens = await requestTokens({
+      grant_type: "authorization_code",
+      code: params.get("code"),
+      redirect_uri: resolved.redirectUri,
+      code_verifier: pending.verifier,
+    });
+    const session = saveSession(tokens);
+    if (session.claims?.nonce !== pending.nonce) {
+      localStorage.removeItem(SESSION_KEY);
+      throw new Error("OIDC sign-in failed: nonce mismatch.");
+    }
+    return session;
+  }
+
+  const adapter = {
+    name: "oidc",
+
+    async init() {
+      const params = new URLSearchParams(window.location.search);
+      const isCallback = params.has("state") && (params.has("code") || params.has("error"));
+      if (isCallback) await completeRedirect(params);
+      return adapter.getActiveAccount();
+    },
+
+    async login(options = {}) {
+      await redirectToLogin(options.prompt);
+    },
+
+    async logout() {
+      const session = readJson(localStorage, SESSION_KEY);
+      localStorage.removeItem(SESSION_KEY);
+      const { end_session_endpoint } = await discover();
+      if (!end_session_endpoint) {
+        window.location.assign(resolved.postLogoutRedirectUri);
+        return;
+      }
+      const params = new URLSearchParams({
+        client_id: resolved.clientId,
+        post_logout_redirect_uri: resolved.postLogoutRedirectUri,
+      });
+      if (session?.idToken) params.set("id_token_hint", session.idToken);
+      window.location.assign(`${end_session_endpoint}?${params}`);
+    },
+
+    getActiveAccount() {
+      const session = readJson(localStorage, SESSION_KEY);
+      return session?.claims ? toAccount(session.claims) : null;
+    },
+
+    // One session per browser; switching accounts goes through the issuer's
+    // account picker instead.
+    getAllAccounts() {
+      const active = adapter.getActiveAccount();
+      return active ? [active] : [];
+    },
+
+    setActiveAccount() {},
+
+    async acquireTokenSilent(scopes = loginRequest.scopes, { forceRefresh = false } = {}) {
+      const session = readJson(localStorage, SESSION_KEY);
+      if (!session) return null;
+      if (!forceRefresh && session.expiresAt - EXPIRY_SKEW_MS > Date.now()) {
+        return { accessToken: session.accessToken, expiresOn: session.expiresAt };
+      }
+      if (!session.refreshToken) throw new Error("OIDC session expired and no refresh token was issued.");
+      const tokens = await requestTokens({
+        grant_type: "refresh_token",
+        refresh_token: session.refreshToken,
+        scope: scopes.join(" "),
+      });
+      const renewed = saveSession(tokens, session);
+      return { accessToken: renewed.accessToken, expiresOn: renewed.expiresAt };
+    },
+
+    async getAccessToken(scopes = loginRequest.scopes, { forceRefresh = false } = {}) {
+      try {
+        const token = await adapter.acquireTokenSilent(scopes, { forceRefresh });
+        if (token) return token.accessToken;
+      } catch {}
+      await redirectToLogin();
+      return null;
+    },
+  };
+
+  return adapter;
+}
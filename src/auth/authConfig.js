@@ -0,0 +1,97 @@
+// src/auth/authConfig.js
+//
+// Resolves the sign-in settings for the current build from
+// `siteConfig.customFields.auth` (see docusaurus.config.js). Nothing here runs
+// on import: AuthProvider calls these functions once it has the site config.
+
+const DEFAULT_SCOPES = ["openid", "profile", "offline_access"];
+const LOG_LEVELS = ["error", "warning", "info", "verbose", "trace"];
+
+function definedOnly(values = {}) {
+  return Object.fromEntries(Object.entries(values).filter(([, v]) => v !== undefined && v !== ""));
+}
+
+function currentOrigin(siteUrl) {
+  if (typeof window !== "undefined") return window.location.origin;
+  return siteUrl.replace(/\/$/, "");
+}
+
+// Azure AD B2C: picks the tenant for `auth.environment` and applies any
+// per-value overrides.
+function resolveB2cTenant(auth) {
+  const environment = auth.environment ?? "dev";
+  const tenantSettings = { ...auth.environments?.[environment], ...definedOnly(auth.overrides) };
+  const { tenant, policy, clientId } = tenantSettings;
+
+  if (!tenant || !policy || !clientId) {
+    throw new Error(
+      `Auth environment "${environment}" is missing a tenant, policy or client ID. ` +
+        "Set AUTH_TENANT, AUTH_POLICY and AUTH_CLIENT_ID for this build."
+    );
+  }
+
+  const host = tenantSettings.host ?? `${tenant}.b2clogin.com`;
+  const tenantDomain = tenantSettings.tenantDomain ?? `${tenant}.onmicrosoft.com`;
+  const authority = `https://${host}/${tenantDomain}/${policy}`;
+  return {
+    environment,
+    clientId,
+    authority,
+    knownAuthorities: [host],
+    metadataUrl: `${authority}/v2.0/.well-known/openid-configuration`,
+  };
+}
+
+// Generic OpenID Connect provider, e.g. an on-prem identity server.
+function resolveOidcIssuer(auth) {
+  const { issuer, clientId, metadataUrl } = definedOnly(auth.oidc);
+  if (!issuer || !clientId) {
+    throw new Error('The "oidc" auth provider needs an issuer and client ID. Set OIDC_ISSUER and OIDC_CLIENT_ID for this build.');
+  }
+  const authority = issuer.replace(/\/$/, "");
+  return {
+    environment: "oidc",
+    clientId,
+    authority,
+    metadataUrl: metadataUrl ?? `${authority}/.well-known/openid-configuration`,
+  };
+}
+
+/**
+ * Resolves the settings for `auth.provider` ("msal", "oidc" or "mock") and
+ * derives the redirect URIs for the host the site runs on.
+ */
+export function resolveAuthConfig(siteConfig) {
+  const { url, baseUrl, customFields = {} } = siteConfig;
+  const auth = customFields.auth ?? {};
+  const provider = auth.provider ?? "msal";
+  const origin = currentOrigin(url);
+
+  const common = {
+    provider,
+    redirectUri: `${origin}${baseUrl}auth-redirect`,
+    popupRedirectUri: `${origin}${baseUrl}auth-popup.html`,
+    postLogoutRedirectUri: `${origin}${baseUrl}`,
+    interaction: auth.interaction === "popup" ? "popup" : "redirect",
+    baseUrl,
+    scopes: auth.scopes ?? DEFAULT_SCOPES,
+    prompt: auth.prompt,
+    logLevel: LOG_LEVELS.includes(auth.logLevel) ? auth.logLevel : "warning",
+    diagnostics: auth.diagnostics === true,
+  };
+
+  switch (provider) {
+    case "msal":
+      return { ...common, ...resolveB2cTenant(auth) };
+    case "oidc":
+      return { ...common, ...resolveOidcIssuer(auth) };
+    case "mock":
+      return { ...common, ...auth.mock, environment: "mock", users: auth.mock?.users ?? [] };
+    default:
+      throw new Error(`Unknown auth provider "${provider}". Use "msal", "oidc" or "mock".`);
+  }
+}
+
+export function createLoginRequest(resolved) {
+  return resolved.prompt ? { scopes: resolved.scopes, prompt: resolved.prompt } : { scopes: resolved.scopes };
+}
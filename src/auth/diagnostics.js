@@ -0,0 +1,82 @@
+// src/auth/diagnostics.js
+//
+// Checks behind the /auth-diagnostics page. Everything here reads public
+// metadata, account claims and storage key names only; token values are
+// never collected.
+
+const STORAGE_PREFIXES = ["msal.", "oidc.", "mockAuth.", "auth."];
+// Claims that only matter for token validation and add noise to a report
+const OMITTED_CLAIMS = ["nonce", "at_hash", "c_hash"];
+
+/**
+ * Metadata URLs to probe: the configured one first, then the other B2C
+ * layout (with or without `/v2.0`) since tenants differ in which they serve.
+ */
+export function metadataCandidates(resolved) {
+  if (!resolved.metadataUrl) return [];
+  const candidates = [resolved.metadataUrl];
+  if (resolved.provider === "msal") {
+    candidates.push(
+      resolved.metadataUrl.includes("/v2.0/")
+        ? resolved.metadataUrl.replace("/v2.0/", "/")
+        : `${resolved.authority}/v2.0/.well-known/openid-configuration`
+    );
+  }
+  return candidates;
+}
+
+export async function checkMetadata(url) {
+  const started = performance.now();
+  try {
+    const response = await fetch(url);
+    const elapsedMs = Math.round(performance.now() - started);
+    if (!response.ok) {
+      return { url, ok: false, status: response.status, elapsedMs, error: response.statusText };
+    }
+    const metadata = await response.json();
+    return {
+      url,
+      ok: true,
+      status: response.status,
+      elapsedMs,
+      issuer: metadata.issuer,
+      authorizationEndpoint: metadata.authorization_endpoint,
+      tokenEndpoint: metadata.token_endpoint,
+      endSessionEndpoint: metadata.end_session_endpoint ?? null,
+    };
+  } catch (e) {
+    return { url, ok: false, status: null, elapsedMs: Math.round(performance.now() - started), error: e.message };
+  }
+}
+
+function listStorage(storage) {
+  const entries = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (STORAGE_PREFIXES.some((prefix) => key.startsWith(prefix))) {
+      entries.push({ key, bytes: storage.getItem(key)?.length ?? 0 });
+    }
+  }
+  return entries.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/** Auth-related storage keys and value sizes, without the values. */
+export function listAuthStorage() {
+  return { localStorage: listStorage(localStorage), sessionStorage: listStorage(sessionStorage) };
+}
+
+export function summarizeAccount(account) {
+  const claims = account.idTokenClaims ?? {};
+  return {
+    homeAccountId: account.homeAccountId,
+    username: account.username,
+    name: account.name ?? null,
+    idTokenIssuedAt: claims.iat ? new Date(claims.iat * 1000).toISOString() : null,
+    idTokenExpiresOn: claims.exp ? new Date(claims.exp * 1000).toISOString() : null,
+    claims: Object.fromEntries(Object.entries(claims).filter(([name]) => !OMITTED_CLAIMS.includes(name))),
+  };
+}
+
+export function formatReport(report) {
+  return JSON.stringify(report, null, 2);
+}
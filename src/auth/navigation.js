@@ -0,0 +1,63 @@
+// src/auth/navigation.js
+//
+// The single place that remembers where to send the reader after sign-in.
+// Return targets are only accepted when they are same-origin and under the
+// site baseUrl, so a crafted `returnTo` cannot turn sign-in into an open
+// redirect. Path, query and hash are all preserved.
+
+const RETURN_TO_KEY = "returnTo";
+// Sending the reader back to these would loop through sign-in again
+const AUTH_PAGES = ["login", "logout", "auth-redirect"];
+
+export function currentLocation() {
+  return window.location.pathname + window.location.search + window.location.hash;
+}
+
+/**
+ * Returns `target` as a site-relative path+query+hash if it is a safe place
+ * to land after sign-in, otherwise null.
+ */
+export function sanitizeReturnTo(target, baseUrl) {
+  if (typeof target !== "string" || target === "") return null;
+  let url;
+  try {
+    url = new URL(target, window.location.origin);
+  } catch {
+    return null;
+  }
+  if (url.origin !== window.location.origin) return null;
+
+  const root = baseUrl.replace(/\/$/, "");
+  if (url.pathname !== root && !url.pathname.startsWith(`${root}/`)) return null;
+
+  const page = url.pathname.slice(root.length).replace(/^\/|\/$/g, "");
+  if (AUTH_PAGES.includes(page)) return null;
+
+  return url.pathname + url.search + url.hash;
+}
+
+/**
+ * Remembers `target` (default: the current page) as the post-sign-in
+ * destination. Unsafe targets are ignored and leave any earlier one in place.
+ */
+export function saveReturnTo(baseUrl, target = currentLocation()) {
+  const safe = sanitizeReturnTo(target, baseUrl);
+  if (!safe) return;
+  try {
+    sessionStorage.setItem(RETURN_TO_KEY, safe);
+  } catch {}
+}
+
+export function consumeReturnTo(baseUrl) {
+  let stored = null;
+  try {
+    stored = sessionStorage.getItem(RETURN_TO_KEY);
+    sessionStorage.removeItem(RETURN_TO_KEY);
+  } catch {}
+  return sanitizeReturnTo(stored, baseUrl) ?? baseUrl;
+}
+
+/** Leaves the auth pages for the remembered destination, or the site root. */
+export function navigateToReturnTo(baseUrl) {
+  window.location.replace(consumeReturnTo(baseUrl));
+}
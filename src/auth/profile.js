@@ -0,0 +1,30 @@
+// src/auth/profile.js
+//
+// Display details for the signed-in account, read from its ID-token claims.
+// B2C custom policies name these claims differently per tenant, so the
+// candidates for email and organization come from `customFields.auth.claims`.
+
+const DEFAULT_CLAIMS = {
+  email: ["emails", "email", "preferred_username"],
+  organization: ["extension_Organization", "organization", "company"],
+};
+
+function firstClaim(claims, names) {
+  for (const name of names) {
+    const value = claims[name];
+    if (Array.isArray(value) && value.length > 0) return String(value[0]);
+    if (typeof value === "string" && value) return value;
+  }
+  return null;
+}
+
+export function getAccountProfile(account, claimNames = {}) {
+  const claims = account?.idTokenClaims ?? {};
+  return {
+    name: account?.name || claims.name || account?.username || null,
+    email: firstClaim(claims, claimNames.email ?? DEFAULT_CLAIMS.email) ?? account?.username ?? null,
+    organization: firstClaim(claims, claimNames.organization ?? DEFAULT_CLAIMS.organization),
+    tenant: claims.tid ?? account?.tenantId ?? null,
+    issuer: claims.iss ?? null,
+  };
+}
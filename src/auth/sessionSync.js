@@ -0,0 +1,36 @@
+// src/auth/sessionSync.js
+//
+// Tells other open tabs of the site when this tab signs in or out. Uses
+// BroadcastChannel where available and falls back to `storage` events, which
+// fire in every other tab sharing localStorage.
+
+const CHANNEL_NAME = "biosero-docs-auth";
+const STORAGE_KEY = "auth.broadcast";
+
+/**
+ * Subscribes `onMessage` to sign-in/sign-out messages from other tabs.
+ * Returns `{ post, close }`; `post({ type, accountId })` notifies them.
+ */
+export function createSessionChannel(onMessage) {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  const onStorage = (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+    try {
+      onMessage(JSON.parse(event.newValue));
+    } catch {}
+  };
+  window.addEventListener("storage", onStorage);
+  return {
+    // The timestamp makes repeated messages distinct so each one fires an event
+    post: (message) => localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...message, at: Date.now() })),
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+}
@@ -0,0 +1,204 @@
+// src/auth/useAuthenticatedFetch.js
+//
+// Calls a Biosero API as the signed-in reader. Tokens are requested for
+// `customFields.auth.apiScopes`; anonymous readers call without one, so public
+// endpoints (e.g. a local Data Services instance) still work.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { useAuth } from "./AuthProvider";
+
+/**
+ * @typedef {object} ApiResponse
+ * @property {number} status
+ * @property {string} statusText
+ * @property {Record<string, string>} headers
+ * @property {unknown} data  Parsed JSON, text, or null for an empty body.
+ * @property {string} url
+ */
+
+/**
+ * @typedef {object} ApiRequestOptions
+ * @property {string} [method]  Defaults to GET.
+ * @property {Record<string, string | number | boolean | Array<string | number> | null | undefined>} [query]
+ *   Empty values are left out of the query string.
+ * @property {unknown} [body]  Plain objects and arrays are sent as JSON.
+ * @property {Record<string, string>} [headers]
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * @typedef {object} AuthenticatedFetchState
+ * @property {"idle" | "loading" | "success" | "error"} status
+ * @property {boolean} loading
+ * @property {unknown} data  Body of the last successful response.
+ * @property {ApiError | null} error
+ * @property {ApiResponse | null} response  Last response, successful or not.
+ */
+
+const IDLE = { status: "idle", data: null, error: null, response: null };
+
+/**
+ * Thrown for non-2xx responses and unreachable hosts. Mirrors the SDK's
+ * `DataServicesException`: `response` is the raw body and `result` the parsed
+ * one (e.g. ProblemDetails), while `message` is a readable summary of it.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, statusText = "", headers = {}, response = "", result = null, url } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.statusText = statusText;
+    this.headers = headers;
+    this.response = response;
+    this.result = result;
+    this.url = url;
+  }
+}
+
+function parseBody(text, contentType) {
+  if (!text) return null;
+  if (/[/+]json\b/.test(contentType ?? "")) {
+    try {
+      return JSON.parse(text);
+    } catch {}
+  }
+  return text;
+}
+
+// Turns the error bodies Biosero services return into one line:
+// ProblemDetails (`title`, `detail`, validation `errors`), serialized
+// exceptions (`message`, `exceptionType`) or OAuth errors.
+export function describeErrorBody(result, fallback) {
+  if (typeof result === "string") {
+    const firstLine = result.trim().split("\n")[0];
+    return firstLine.length > 300 ? `${firstLine.slice(0, 300)}…` : firstLine || fallback;
+  }
+  if (!result || typeof result !== "object") return fallback;
+
+  const message = result.detail ?? result.message ?? result.Message ?? result.error_description ?? result.error;
+  const title = result.title ?? result.exceptionType ?? result.ExceptionType;
+  let summary = [title, message].filter((part) => typeof part === "string" && part).join(": ") || fallback;
+
+  if (result.errors && typeof result.errors === "object") {
+    const fields = Object.entries(result.errors).map(
+      ([field, problems]) => `${field}: ${[].concat(problems).join(" ")}`
+    );
+    if (fields.length > 0) summary += ` (${fields.join("; ")})`;
+  }
+  return summary;
+}
+
+function buildUrl(baseUrl, path = "", query = {}) {
+  const base = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+  const url = new URL(path.replace(/^\//, ""), base);
+  for (const [name, value] of Object.entries(query)) {
+    for (const item of [].concat(value)) {
+      if (item !== undefined && item !== null && item !== "") url.searchParams.append(name, String(item));
+    }
+  }
+  return url.toString();
+}
+
+function encodeBody(body, headers) {
+  if (body === undefined || body === null) return undefined;
+  const isPlain = Array.isArray(body) || Object.getPrototypeOf(body) === Object.prototype;
+  if (!isPlain) return body;
+  headers["Content-Type"] ??= "application/json";
+  return JSON.stringify(body);
+}
+
+/**
+ * Sends requests to `baseUrl` with the reader's bearer token. A 401 triggers
+ * one retry with a token refreshed past the cache. Non-2xx responses reject
+ * with {@link ApiError}; the latest request's outcome is also kept as state.
+ *
+ * @param {string} baseUrl
+ * @returns {AuthenticatedFetchState & {
+ *   request: (path: string, options?: ApiRequestOptions) => Promise<ApiResponse>,
+ *   reset: () => void,
+ * }}
+ */
+export default function useAuthenticatedFetch(baseUrl) {
+  const { isAuthenticated, getAccessToken } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const apiScopes = siteConfig.customFields?.auth?.apiScopes ?? [];
+  const [state, setState] = useState(IDLE);
+  const latestRef = useRef(0);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const request = useCallback(
+    async (path, { method = "GET", query, body, headers: extraHeaders, signal } = {}) => {
+      const id = ++latestRef.current;
+      const isLatest = () => mountedRef.current && id === latestRef.current;
+      const scopes = apiScopes.length > 0 ? apiScopes : undefined;
+      const headers = { Accept: "application/json", ...extraHeaders };
+      let url;
+      let payload;
+
+      const send = async (token) => {
+        const init = { method, headers: token ? { ...headers, Authorization: `Bearer ${token}` } : headers, body: payload, signal };
+        try {
+          return await fetch(url, init);
+        } catch (e) {
+          if (e?.name === "AbortError") throw e;
+          throw new ApiError(`Could not reach ${url}: ${e?.message ?? e}. Check the address and that the service allows this origin (CORS).`, { url });
+        }
+      };
+
+      setState((current) => ({ ...current, status: "loading", error: null }));
+      try {
+        try {
+          url = buildUrl(baseUrl, path, query);
+        } catch {
+          throw new ApiError(`"${baseUrl}" is not a valid server address.`);
+        }
+        payload = encodeBody(body, headers);
+        const token = isAuthenticated ? await getAccessToken(scopes) : null;
+        let res = await send(token);
+        if (res.status === 401 && isAuthenticated) {
+          const refreshed = await getAccessToken(scopes, { forceRefresh: true });
+          if (refreshed) res = await send(refreshed);
+        }
+
+        const text = await res.text();
+        const response = {
+          status: res.status,
+          statusText: res.statusText,
+          headers: Object.fromEntries(res.headers.entries()),
+          data: parseBody(text, res.headers.get("content-type")),
+          url,
+        };
+
+        if (!res.ok) {
+          const fallback = `${res.status} ${res.statusText}`.trim();
+          throw new ApiError(describeErrorBody(response.data, fallback), { ...response, response: text, result: response.data });
+        }
+        if (isLatest()) setState({ status: "success", data: response.data, error: null, response });
+        return response;
+      } catch (e) {
+        if (isLatest()) {
+          const error = e instanceof ApiError ? e : new ApiError(e?.message ?? String(e), { url });
+          const response = error.status ? { status: error.status, statusText: error.statusText, headers: error.headers, data: error.result, url } : null;
+          setState({ status: "error", data: null, error, response });
+        }
+        throw e;
+      }
+    },
+    [baseUrl, isAuthenticated, apiScopes.join(" ")]
+  );
+
+  const reset = useCallback(() => {
+    latestRef.current++;
+    setState(IDLE);
+  }, []);
+
+  return { ...state, loading: state.status === "loading", request, reset };
+}
@@ -0,0 +1,45 @@
+// src/components/AccessDenied.jsx
+import React from "react";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { useAuth } from "@site/src/auth/AuthProvider";
+
+function formatList(values) {
+  return values.map((v) => `"${v}"`).join(" or ");
+}
+
+export default function AccessDenied({ roles = [], groups = [] }) {
+  const { account, logout } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const requestAccessUrl = siteConfig.customFields?.auth?.requestAccessUrl;
+
+  const requirements = [
+    roles.length > 0 && `the ${formatList(roles)} role`,
+    groups.length > 0 && `membership in ${formatList(groups)}`,
+  ].filter(Boolean);
+
+  const requestHref = requestAccessUrl
+    ? `${requestAccessUrl}${requestAccessUrl.includes("?") ? "&" : "?"}page=${encodeURIComponent(
+        typeof window !== "undefined" ? window.location.href : ""
+      )}`
+    : null;
+
+  return (
+    <div className="alert alert--warning margin-vert--lg" role="alert">
+      <h2>You don't have access to this page</h2>
+      <p>
+        You are signed in as <strong>{account?.name || account?.username}</strong>, but this content requires{" "}
+        {requirements.join(" or ")}.
+      </p>
+      <p>
+        {requestHref && (
+          <a className="button button--primary margin-right--sm" href={requestHref}>
+            Request access
+          </a>
+        )}
+        <button className="button button--secondary" type="button" onClick={logout}>
+          Sign in with a different account
+        </button>
+      </p>
+    </div>
+  );
+}
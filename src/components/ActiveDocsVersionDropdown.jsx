@@ -0,0 +1,15 @@
+// src/components/ActiveDocsVersionDropdown.jsx
+import React from "react";
+import { useActivePlugin } from "@docusaurus/plugin-content-docs/client";
+import DocsVersionDropdownNavbarItem from "@theme/NavbarItem/DocsVersionDropdownNavbarItem";
+
+// The theme's version dropdown, shown only on pages of its own docs instance.
+// Each SDK has its own version line, so a C# version picker on a Python page
+// would only confuse.
+export default function ActiveDocsVersionDropdown(props) {
+  const activePlugin = useActivePlugin({ failfast: false });
+  if (activePlugin?.pluginId !== props.docsPluginId) {
+    return null;
+  }
+  return <DocsVersionDropdownNavbarItem {...props} />;
+}
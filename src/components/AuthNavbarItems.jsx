@@ -1,11 +1,28 @@
 // src/components/AuthNavbarItems.jsx
 import React from 'react';
-import { useAuth } from '@site/src/auth/AuthProvider';
+import Link from '@docusaurus/Link';
+import { useLocation } from '@docusaurus/router';
 import useBaseUrl from '@docusaurus/useBaseUrl';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import { useAuth } from '@site/src/auth/AuthProvider';
+import { getAccountProfile } from '@site/src/auth/profile';
+
+const buttonLinkStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'inherit',
+  cursor: 'pointer',
+  fontSize: 'inherit',
+  textAlign: 'left',
+  width: '100%',
+};
 
-export default function AuthNavbarItems() {
-  const { isAuthenticated, logout } = useAuth();
-  const loginUrl = useBaseUrl('/login');
+function AccountMenuItems({ itemClassName, linkClassName }) {
+  const { account, logout, login, getAllAccounts, switchAccount } = useAuth();
+  const accountUrl = useBaseUrl('/account');
+  const otherAccounts = getAllAccounts().filter(
+    (candidate) => candidate.homeAccountId !== account.homeAccountId,
+  );
 
   const handleLogout = () => {
     try {
@@ -15,32 +32,121 @@ export default function AuthNavbarItems() {
     }
   };
 
-  if (isAuthenticated) {
+  return (
+    <>
+      <li className={itemClassName}>
+        <Link className={linkClassName} to={accountUrl}>
+          Account details
+        </Link>
+      </li>
+      {otherAccounts.map((candidate) => (
+        <li className={itemClassName} key={candidate.homeAccountId}>
+          <button
+            className={linkClassName}
+            style={buttonLinkStyle}
+            type="button"
+            onClick={() => switchAccount(candidate)}
+          >
+            Switch to {candidate.name || candidate.username}
+          </button>
+        </li>
+      ))}
+      <li className={itemClassName}>
+        <button
+          className={linkClassName}
+          style={buttonLinkStyle}
+          type="button"
+          onClick={() => login({ prompt: 'select_account' })}
+        >
+          Use another account
+        </button>
+      </li>
+      <li className={itemClassName}>
+        <button
+          className={linkClassName}
+          style={buttonLinkStyle}
+          type="button"
+          onClick={handleLogout}
+        >
+          Sign out
+        </button>
+      </li>
+    </>
+  );
+}
+
+function ProfileSummary({ profile }) {
+  return (
+    <div style={{ padding: '0.25rem 0.75rem 0.5rem', lineHeight: 1.3 }}>
+      <div><strong>{profile.name}</strong></div>
+      {profile.email && <div><small>{profile.email}</small></div>}
+      {profile.organization && <div><small>{profile.organization}</small></div>}
+    </div>
+  );
+}
+
+export default function AuthNavbarItems({ mobile }) {
+  const { isAuthenticated, account, login } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const location = useLocation();
+  const returnTo = location.pathname + location.search + location.hash;
+  const loginUrl = `${useBaseUrl('/login')}?returnTo=${encodeURIComponent(returnTo)}`;
+  // Popup sign-in must start from the click itself or the browser blocks it
+  const usePopup = siteConfig.customFields?.auth?.interaction === 'popup';
+
+  const handleLogin = (e) => {
+    if (!usePopup) return;
+    e.preventDefault();
+    login();
+  };
+
+  if (!isAuthenticated) {
+    if (mobile) {
+      return (
+        <li className="menu__list-item">
+          <a className="menu__link" href={loginUrl} onClick={handleLogin}>
+            Login
+          </a>
+        </li>
+      );
+    }
     return (
-      <button
-        className="navbar__item navbar__link"
-        onClick={handleLogout}
-        style={{
-          background: 'none',
-          border: 'none',
-          color: 'inherit',
-          cursor: 'pointer',
-          fontSize: 'inherit',
-          padding: '0.25rem 0.5rem',
-          textDecoration: 'none',
-        }}
-      >
-        Logout
-      </button>
+      <a className="navbar__item navbar__link" href={loginUrl} onClick={handleLogin}>
+        Login
+      </a>
+    );
+  }
+
+  const profile = getAccountProfile(account, siteConfig.customFields?.auth?.claims);
+
+  if (mobile) {
+    return (
+      <li className="menu__list-item">
+        <ProfileSummary profile={profile} />
+        <ul className="menu__list">
+          <AccountMenuItems itemClassName="menu__list-item" linkClassName="menu__link" />
+        </ul>
+      </li>
     );
   }
 
   return (
-    <a
-      className="navbar__item navbar__link"
-      href={loginUrl}
-    >
-      Login
-    </a>
+    <div className="navbar__item dropdown dropdown--hoverable dropdown--right">
+      <a
+        className="navbar__link"
+        href="#"
+        aria-haspopup="true"
+        role="button"
+        onClick={(e) => e.preventDefault()}
+      >
+        {profile.name}
+      </a>
+      <ul className="dropdown__menu">
+        <li>
+          <ProfileSummary profile={profile} />
+        </li>
+        <AccountMenuItems linkClassName="dropdown__link" />
+      </ul>
+    </div>
   );
-}
\ No newline at end of file
+}
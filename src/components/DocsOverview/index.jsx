@@ -0,0 +1,128 @@
+// src/components/DocsOverview/index.jsx
+import React from "react";
+import clsx from "clsx";
+import Link from "@docusaurus/Link";
+import Heading from "@theme/Heading";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import overview from "@generated/docs-overview/default/overview.json";
+import { useAuth } from "@site/src/auth/AuthProvider";
+import { canAccess, describeAccess, parseAccessPolicy } from "@site/src/auth/access";
+import styles from "./styles.module.css";
+
+const RECENT_PAGES = 6;
+
+// Fixed locale and time zone, so the server-rendered dates match the browser's
+const dateFormat = new Intl.DateTimeFormat("en", { dateStyle: "medium", timeZone: "UTC" });
+
+function formatDate(timestamp) {
+  return timestamp ? dateFormat.format(new Date(timestamp)) : "—";
+}
+
+// Whether the reader can open docs under `policy`, and if not, why
+function useAccess() {
+  const { account, isAuthenticated } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const claimNames = siteConfig.customFields?.auth?.claims;
+  return (policy) => {
+    const access = parseAccessPolicy(policy);
+    if (canAccess(account, access, claimNames)) return { allowed: true };
+    return { allowed: false, signedIn: isAuthenticated, requirement: describeAccess(access) };
+  };
+}
+
+function AccessBadge({ access }) {
+  if (access.allowed) return null;
+  return (
+    <span className={clsx("badge", access.signedIn ? "badge--warning" : "badge--secondary")} title={access.requirement}>
+      {access.signedIn ? "No access" : "🔒 Sign in"}
+    </span>
+  );
+}
+
+function ProductCard({ card, access }) {
+  return (
+    <div className={clsx("card", styles.card)}>
+      <div className="card__header">
+        <div className={styles.cardTitle}>
+          <Heading as="h3" className="margin-bottom--none">
+            <Link to={card.url}>{card.label}</Link>
+          </Heading>
+          <AccessBadge access={access} />
+        </div>
+        <div className={styles.meta}>
+          {card.version && <span>v{card.version}</span>}
+          <span>
+            {card.pageCount} {card.pageCount === 1 ? "page" : "pages"}
+          </span>
+          <span>Updated {formatDate(card.updatedAt)}</span>
+        </div>
+      </div>
+      <div className={clsx("card__body", styles.body)}>
+        {card.description && <p>{card.description}</p>}
+        {card.entryPoints.length > 0 && (
+          <ul className={styles.entryPoints}>
+            {card.entryPoints.map((entry) => (
+              <li key={entry.url}>
+                <Link to={entry.url}>{entry.label}</Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="card__footer">
+        <Link className="button button--primary button--block" to={card.url}>
+          Open {card.label}
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+function RecentPages({ pages, labels }) {
+  if (pages.length === 0) return null;
+  return (
+    <section className="margin-top--lg">
+      <Heading as="h2">Recently updated</Heading>
+      <ul className={styles.recent}>
+        {pages.map((page) => (
+          <li key={page.url}>
+            <Link to={page.url}>{page.title}</Link>
+            <span className={styles.meta}>
+              <span>{labels[page.section]}</span>
+              <span>{formatDate(page.updatedAt)}</span>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+/**
+ * One card per docs instance, grouped like the navbar, followed by the most
+ * recently updated pages the reader can open. Built by plugins/docs-overview.
+ */
+export default function DocsOverview() {
+  const accessOf = useAccess();
+  const groups = [...new Set(overview.cards.map((card) => card.group))];
+  const labels = Object.fromEntries(overview.cards.map((card) => [card.id, card.label]));
+  const recent = overview.recent.filter((page) => accessOf(page.access).allowed).slice(0, RECENT_PAGES);
+
+  return (
+    <div className="container margin-vert--lg">
+      {groups.map((group) => (
+        <section key={group} className="margin-bottom--lg">
+          <Heading as="h2">{group}</Heading>
+          <div className={styles.grid}>
+            {overview.cards
+              .filter((card) => card.group === group)
+              .map((card) => (
+                <ProductCard key={card.id} card={card} access={accessOf(card.access)} />
+              ))}
+          </div>
+        </section>
+      ))}
+      <RecentPages pages={recent} labels={labels} />
+    </div>
+  );
+}
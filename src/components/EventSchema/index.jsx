@@ -0,0 +1,272 @@
+// src/components/EventSchema/index.jsx
+import React, { useId, useMemo, useState } from "react";
+import Tabs from "@theme/Tabs";
+import TabItem from "@theme/TabItem";
+import CodeBlock from "@theme/CodeBlock";
+import { SDK_LANGUAGE_GROUP } from "@site/src/components/SdkExample";
+import { getEventSchema, eventSchemas } from "./registry";
+import {
+  describeFields,
+  enumOptions,
+  initialValues,
+  parseValues,
+  toCSharp,
+  toDict,
+  toJson,
+  toPython,
+} from "./payload";
+import styles from "./styles.module.css";
+
+function formatDefault(field) {
+  if (field.kind === "const") return <code>{field.default}</code>;
+  if (field.required) return "—";
+  return <code>{field.default === null ? "None" : toJson(field.default)}</code>;
+}
+
+// Schema descriptions mark code with backticks, as in Markdown
+function Prose({ text }) {
+  return (text ?? "").split(/`([^`]*)`/).map((part, i) => (i % 2 === 1 ? <code key={i}>{part}</code> : part));
+}
+
+function FieldTable({ fields }) {
+  return (
+    <table>
+      <thead>
+        <tr>
+          <th>Field</th>
+          <th>Type</th>
+          <th>Required</th>
+          <th>Default</th>
+          <th>Description</th>
+        </tr>
+      </thead>
+      <tbody>
+        {fields.map((field) => (
+          <tr key={field.name}>
+            <td>
+              <code>{field.name}</code>
+            </td>
+            <td>
+              <code>{field.pythonType}</code>
+            </td>
+            <td>{field.required ? "Yes" : "No"}</td>
+            <td>{formatDefault(field)}</td>
+            <td>
+              <Prose text={field.description} />
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function EnumTable({ def }) {
+  return (
+    <>
+      <p>
+        <strong>
+          <code>{def.title}</code>
+        </strong>{" "}
+        <Prose text={def.description} />
+      </p>
+      <table>
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Value</th>
+            <th>Meaning</th>
+          </tr>
+        </thead>
+        <tbody>
+          {enumOptions(def).map((option) => (
+            <tr key={option.value}>
+              <td>
+                <code>{option.name}</code>
+              </td>
+              <td>{option.value}</td>
+              <td>
+                <Prose text={option.description} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+}
+
+function FieldInput({ field, value, onChange }) {
+  const id = `${useId()}-${field.name}`;
+  const label = (
+    <span>
+      <code>{field.name}</code>
+      {field.required && <span className={styles.required}> required</span>}
+    </span>
+  );
+
+  switch (field.kind) {
+    case "boolean":
+      return (
+        <label className={styles.checkbox} htmlFor={id}>
+          <input id={id} type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} />
+          {label}
+        </label>
+      );
+    case "enum":
+      return (
+        <label className={styles.field} htmlFor={id}>
+          {label}
+          <select id={id} className={styles.input} value={value} onChange={(e) => onChange(e.target.value)}>
+            <option value="">{field.required ? "Choose…" : "None"}</option>
+            {enumOptions(field.def).map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.name} ({option.value})
+              </option>
+            ))}
+          </select>
+        </label>
+      );
+    case "list":
+      return (
+        <label className={styles.field} htmlFor={id}>
+          {label}
+          <textarea
+            id={id}
+            className={styles.input}
+            rows={2}
+            value={value}
+            placeholder="One per line"
+            onChange={(e) => onChange(e.target.value)}
+          />
+        </label>
+      );
+    case "object":
+      return (
+        <fieldset className={styles.field}>
+          <legend>{label}</legend>
+          <div className={styles.row}>
+            {Object.keys(field.def.properties).map((key) => (
+              <input
+                key={key}
+                className={styles.input}
+                type="text"
+                aria-label={`${field.name} ${key}`}
+                placeholder={key}
+                value={value[key]}
+                onChange={(e) => onChange({ ...value, [key]: e.target.value })}
+              />
+            ))}
+          </div>
+        </fieldset>
+      );
+    case "datetime":
+      return (
+        <label className={styles.field} htmlFor={id}>
+          {label}
+          <input
+            id={id}
+            className={styles.input}
+            type="datetime-local"
+            step="1"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+          />
+        </label>
+      );
+    default:
+      return (
+        <label className={styles.field} htmlFor={id}>
+          {label}
+          <input
+            id={id}
+            className={styles.input}
+            type={field.kind === "integer" || field.kind === "number" ? "number" : "text"}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+          />
+        </label>
+      );
+  }
+}
+
+function PayloadBuilder({ schema, fields }) {
+  const [rawValues, setRawValues] = useState(() => initialValues(fields));
+  const { values, errors, missing } = parseValues(fields, rawValues);
+  const setValue = (name) => (value) => setRawValues((current) => ({ ...current, [name]: value }));
+
+  return (
+    <div className={`card ${styles.builder}`}>
+      <div className="card__header">
+        <strong>Build a {schema.title}</strong>
+      </div>
+      <div className="card__body">
+        <div className={styles.form}>
+          {fields
+            .filter((field) => field.kind !== "const")
+            .map((field) => (
+              <FieldInput key={field.name} field={field} value={rawValues[field.name]} onChange={setValue(field.name)} />
+            ))}
+        </div>
+        {errors.length > 0 && (
+          <div className="alert alert--danger margin-bottom--sm">
+            {errors.map((error) => (
+              <div key={error}>{error}</div>
+            ))}
+          </div>
+        )}
+        {missing.length > 0 && (
+          <div className="alert alert--warning margin-bottom--sm">Required fields still empty: {missing.join(", ")}</div>
+        )}
+        <Tabs groupId={SDK_LANGUAGE_GROUP}>
+          <TabItem value="json" label="to_dict()">
+            <CodeBlock language="json">{toJson(toDict(fields, values))}</CodeBlock>
+          </TabItem>
+          <TabItem value="python" label="Python">
+            <CodeBlock language="python">{toPython(schema, fields, values)}</CodeBlock>
+          </TabItem>
+          <TabItem value="csharp" label="C#">
+            <CodeBlock language="csharp">{toCSharp(schema, fields, values)}</CodeBlock>
+          </TabItem>
+        </Tabs>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Field reference and payload builder for one Biosero event type, read from
+ * schemas/events/<type>.schema.json.
+ *
+ * <EventSchema type="ModuleStatusUpdateEvent" />
+ *
+ * `table={false}` or `builder={false}` leaves out that part.
+ */
+export default function EventSchema({ type, table = true, builder = true }) {
+  const schema = getEventSchema(type);
+  const fields = useMemo(() => (schema ? describeFields(schema) : []), [schema]);
+
+  if (!schema) {
+    return (
+      <div className="alert alert--danger">
+        Unknown event type <code>{type}</code>. Known types: {Object.keys(eventSchemas).join(", ")}.
+      </div>
+    );
+  }
+
+  const enums = [...new Map(fields.filter((field) => field.kind === "enum").map((field) => [field.def.title, field.def])).values()];
+
+  return (
+    <>
+      {table && (
+        <>
+          <FieldTable fields={fields} />
+          {enums.map((def) => (
+            <EnumTable key={def.title} def={def} />
+          ))}
+        </>
+      )}
+      {builder && <PayloadBuilder schema={schema} fields={fields} />}
+    </>
+  );
+}
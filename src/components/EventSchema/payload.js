@@ -0,0 +1,294 @@
+// src/components/EventSchema/payload.js
+//
+// Turns an event's JSON Schema (schemas/events/*.schema.json) into field
+// descriptions, and form values into the payload `to_dict()` produces plus the
+// Python and C# code that builds the same event.
+
+// Marks numbers that Python serializes as floats (`100.0`, not `100`)
+class PyFloat {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+function resolveDef(schema, prop) {
+  const ref = prop.$ref ?? prop.anyOf?.find((option) => option.$ref)?.$ref;
+  if (!ref) return null;
+  return schema.$defs?.[ref.replace(/^#\/\$defs\//, "")] ?? null;
+}
+
+function allowsNull(prop) {
+  return [].concat(prop.type ?? []).includes("null") || (prop.anyOf ?? []).some((option) => option.type === "null");
+}
+
+function kindOf(prop, def) {
+  if (prop.const !== undefined) return "const";
+  if (def?.enum) return "enum";
+  if (def) return "object";
+  const type = [].concat(prop.type ?? []).find((t) => t !== "null");
+  if (type === "string" && prop.format === "date-time") return "datetime";
+  if (type === "array") return "list";
+  return type ?? "string";
+}
+
+/** Field descriptions in declaration order, which is also `to_dict()` key order. */
+export function describeFields(schema) {
+  const required = new Set(schema.required ?? []);
+  return Object.entries(schema.properties ?? {}).map(([name, prop]) => {
+    const def = resolveDef(schema, prop);
+    return {
+      name,
+      kind: kindOf(prop, def),
+      required: required.has(name),
+      nullable: allowsNull(prop),
+      pythonType: prop["x-python-type"] ?? prop.type,
+      description: prop.description ?? "",
+      default: prop.const ?? prop.default ?? null,
+      example: prop.examples?.[0],
+      def,
+    };
+  });
+}
+
+export function enumOptions(def) {
+  return def.enum.map((value, i) => ({
+    value,
+    name: def["x-enum-names"]?.[i] ?? String(value),
+    description: def["x-enum-descriptions"]?.[i] ?? "",
+  }));
+}
+
+/** Form values to start from: examples for required fields, blank otherwise. */
+export function initialValues(fields) {
+  return Object.fromEntries(
+    fields
+      .filter((field) => field.kind !== "const")
+      .map((field) => {
+        const seed = field.required ? field.example : undefined;
+        switch (field.kind) {
+          case "boolean":
+            return [field.name, field.default === true];
+          case "list":
+            return [field.name, (seed ?? []).join("\n")];
+          case "object":
+            return [
+              field.name,
+              Object.fromEntries(
+                Object.entries(field.def.properties).map(([key, prop]) => [
+                  key,
+                  field.required && prop.examples ? String(prop.examples[0]) : "",
+                ])
+              ),
+            ];
+          default:
+            return [field.name, seed === undefined ? "" : String(seed)];
+        }
+      })
+  );
+}
+
+// Python's datetime.isoformat() always includes seconds
+function isoDateTime(raw) {
+  return /T\d{2}:\d{2}$/.test(raw) ? `${raw}:00` : raw;
+}
+
+/**
+ * Parses one form value. Returns undefined when the reader left it blank, and
+ * `{ error }` when it cannot be parsed.
+ */
+function parseValue(field, raw) {
+  switch (field.kind) {
+    case "boolean":
+      return raw === (field.default === true) ? undefined : raw;
+    case "integer":
+    case "number": {
+      if (String(raw).trim() === "") return undefined;
+      const number = Number(raw);
+      if (!Number.isFinite(number) || (field.kind === "integer" && !Number.isInteger(number))) {
+        return { error: `${field.name} must be ${field.kind === "integer" ? "a whole number" : "a number"}.` };
+      }
+      return field.kind === "number" ? new PyFloat(number) : number;
+    }
+    case "list": {
+      const items = String(raw)
+        .split(/[\n,]/)
+        .map((item) => item.trim())
+        .filter(Boolean);
+      return items.length > 0 ? items : undefined;
+    }
+    case "enum":
+      return raw === "" ? undefined : Number(raw);
+    case "object": {
+      const entries = Object.entries(raw ?? {}).filter(([, value]) => String(value).trim() !== "");
+      if (entries.length === 0) return undefined;
+      const result = {};
+      for (const [key, prop] of Object.entries(field.def.properties)) {
+        const value = raw[key] ?? "";
+        if (prop.type === "number") {
+          const number = Number(value);
+          if (value === "" || !Number.isFinite(number)) return { error: `${field.name}.${key} must be a number.` };
+          result[key] = new PyFloat(number);
+        } else {
+          result[key] = value;
+        }
+      }
+      return result;
+    }
+    case "datetime":
+      return raw === "" ? undefined : isoDateTime(raw);
+    default:
+      return raw === "" ? undefined : raw;
+  }
+}
+
+/**
+ * Parses every form value.
+ * @returns {{ values: Record<string, unknown>, errors: string[], missing: string[] }}
+ *   `values` only holds fields the reader set.
+ */
+export function parseValues(fields, rawValues) {
+  const values = {};
+  const errors = [];
+  const missing = [];
+  for (const field of fields) {
+    if (field.kind === "const") continue;
+    const value = parseValue(field, rawValues[field.name]);
+    if (value?.error) errors.push(value.error);
+    else if (value !== undefined) values[field.name] = value;
+    else if (field.required) missing.push(field.name);
+  }
+  return { values, errors, missing };
+}
+
+/**
+ * Values for an event instance written as JSON, such as a schema's
+ * `x-examples`, in the shape parseValues returns.
+ */
+export function fromInstance(fields, instance) {
+  const values = {};
+  for (const field of fields) {
+    const value = instance[field.name];
+    if (field.kind === "const" || value === undefined) continue;
+    if (field.kind === "number") {
+      values[field.name] = new PyFloat(value);
+    } else if (field.kind === "object" && value !== null) {
+      values[field.name] = Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          field.def.properties[key]?.type === "number" ? new PyFloat(item) : item,
+        ])
+      );
+    } else {
+      values[field.name] = value;
+    }
+  }
+  return values;
+}
+
+/** The dictionary `to_dict()` returns: every field, defaults included. */
+export function toDict(fields, values) {
+  return Object.fromEntries(
+    fields.map((field) => [field.name, field.kind === "const" ? field.default : values[field.name] ?? field.default])
+  );
+}
+
+/** Serializes like Python's `json.dumps(value, indent=2)`, floats included. */
+export function toJson(value, indent = "") {
+  const inner = `${indent}  `;
+  if (value instanceof PyFloat) return Number.isInteger(value.value) ? `${value.value}.0` : String(value.value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    return `[\n${value.map((item) => inner + toJson(item, inner)).join(",\n")}\n${indent}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return "{}";
+    return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${toJson(item, inner)}`).join(",\n")}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function pythonLiteral(field, value) {
+  if (value === undefined || value === null) return "None";
+  switch (field.kind) {
+    case "boolean":
+      return value ? "True" : "False";
+    case "enum":
+      return `${field.def.title}.${enumOptions(field.def).find((option) => option.value === value)?.name ?? value}`;
+    case "object":
+      return `${field.def.title}(${Object.entries(value)
+        .map(([key, item]) => `${key}=${toJson(item)}`)
+        .join(", ")})`;
+    case "datetime":
+      return `datetime.fromisoformat(${JSON.stringify(value)})`;
+    case "list":
+      return `[${value.map((item) => JSON.stringify(item)).join(", ")}]`;
+    default:
+      return toJson(value);
+  }
+}
+
+function csharpLiteral(field, value) {
+  if (value === undefined || value === null) return "null";
+  switch (field.kind) {
+    case "boolean":
+      return value ? "true" : "false";
+    case "enum":
+      return `${field.def.title}.${enumOptions(field.def).find((option) => option.value === value)?.name ?? value}`;
+    case "object":
+      return `new ${field.def.title} { ${Object.entries(value)
+        .map(([key, item]) => `${key[0].toUpperCase()}${key.slice(1)} = ${item instanceof PyFloat ? item.value : JSON.stringify(item)}`)
+        .join(", ")} }`;
+    case "datetime":
+      return `DateTime.Parse(${JSON.stringify(value)})`;
+    case "list":
+      return `new List<string> { ${value.map((item) => JSON.stringify(item)).join(", ")} }`;
+    default:
+      return value instanceof PyFloat ? String(value.value) : JSON.stringify(value);
+  }
+}
+
+// Required fields are always passed, even when still blank
+function fieldsToWrite(fields, values) {
+  return fields.filter((field) => field.kind !== "const" && (field.required || values[field.name] !== undefined));
+}
+
+function lowerFirst(name) {
+  return name[0].toLowerCase() + name.slice(1);
+}
+
+export function toPython(schema, fields, values) {
+  const used = fieldsToWrite(fields, values);
+  const imports = new Map();
+  const addImport = (module, name) => imports.set(module, new Set([...(imports.get(module) ?? []), name]));
+
+  if (used.some((field) => field.kind === "datetime" && values[field.name] !== undefined)) addImport("datetime", "datetime");
+  for (const field of used) {
+    if (field.def && values[field.name] !== undefined) {
+      addImport(field.def["x-python-module"] ?? schema["x-python-module"], field.def.title);
+    }
+  }
+  addImport(schema["x-python-module"], schema.title);
+
+  const importLines = [...imports].map(([module, names]) => `from ${module} import ${[...names].join(", ")}`);
+  const args = used.map((field) => `    ${field.name}=${pythonLiteral(field, values[field.name])},`);
+  return [...importLines, "", `event = ${schema.title}(`, ...args, ")", "", "payload = event.to_dict()"].join("\n");
+}
+
+export function toCSharp(schema, fields, values) {
+  const used = fieldsToWrite(fields, values);
+  const usings = new Set();
+  if (used.some((field) => field.kind === "datetime" && values[field.name] !== undefined)) usings.add("System");
+  if (used.some((field) => field.kind === "list" && values[field.name] !== undefined)) usings.add("System.Collections.Generic");
+  usings.add(schema["x-csharp-namespace"]);
+
+  const assignments = used.map((field) => `    ${field.name} = ${csharpLiteral(field, values[field.name])},`);
+  return [
+    ...[...usings].map((namespace) => `using ${namespace};`),
+    "",
+    `var ${lowerFirst(schema.title)} = new ${schema.title}`,
+    "{",
+    ...assignments,
+    "};",
+  ].join("\n");
+}
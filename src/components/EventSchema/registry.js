@@ -0,0 +1,17 @@
+// src/components/EventSchema/registry.js
+//
+// Every schema in schemas/events, keyed by event type name (the schema's
+// `title`). Adding a *.schema.json file there is enough to make it available.
+
+const context = require.context("@site/schemas/events", false, /\.schema\.json$/);
+
+export const eventSchemas = Object.fromEntries(
+  context.keys().map((key) => {
+    const schema = context(key);
+    return [schema.title, schema];
+  })
+);
+
+export function getEventSchema(type) {
+  return eventSchemas[type] ?? null;
+}
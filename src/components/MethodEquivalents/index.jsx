@@ -0,0 +1,53 @@
+// src/components/MethodEquivalents/index.jsx
+import React, { Fragment } from "react";
+import Link from "@docusaurus/Link";
+import { useActivePlugin } from "@docusaurus/plugin-content-docs/client";
+import operationMap from "@generated/operation-map/default/operations.json";
+import styles from "./styles.module.css";
+
+/**
+ * The same operation in the other SDKs and the REST API, for the method
+ * `method` of the current docs instance. Added under method headings by
+ * plugins/operation-map; renders nothing for unmapped methods.
+ *
+ * The link checker is skipped because protected pages render no headings at
+ * build time. plugins/operation-map builds every URL from a heading it found.
+ */
+export default function MethodEquivalents({ method }) {
+  const pluginId = useActivePlugin({ failfast: false })?.pluginId;
+  const surface = operationMap.surfaces.find((candidate) => candidate.docsPluginId === pluginId);
+  const operation =
+    surface && operationMap.operations.find((candidate) => candidate.methods[surface.id].some((entry) => entry.name === method));
+  if (!operation) return null;
+
+  return (
+    <div className={styles.row}>
+      <span className={styles.heading}>Equivalent in</span>
+      {operationMap.surfaces
+        .filter((other) => other.id !== surface.id)
+        .map((other) => {
+          const methods = operation.methods[other.id];
+          return (
+            <span key={other.id}>
+              {other.label}:{" "}
+              {methods.length === 0 ? (
+                <span className={styles.missing}>not available</span>
+              ) : (
+                methods.map((entry, i) => (
+                  <Fragment key={entry.name}>
+                    {i > 0 && ", "}
+                    <Link to={entry.url} data-noBrokenLinkCheck>
+                      <code>{entry.label}</code>
+                    </Link>
+                  </Fragment>
+                ))
+              )}
+            </span>
+          );
+        })}
+      <Link to={`/coverage#${operation.id}`} className={styles.coverage}>
+        Coverage
+      </Link>
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+// src/components/PageFeedback/endpoint.js
+
+/**
+ * `customFields.feedback.endpoint` as the base URL and path for
+ * useAuthenticatedFetch. The hook puts a slash after its base URL, so the
+ * endpoint is split after its last slash to be requested exactly as
+ * configured: `http://host/feedback` is `http://host/` and `feedback`.
+ */
+export function splitEndpoint(endpoint) {
+  const url = new URL(endpoint);
+  const folder = url.pathname.slice(0, url.pathname.lastIndexOf("/") + 1);
+  return { baseUrl: `${url.origin}${folder}`, path: `${url.pathname.slice(folder.length)}${url.search}` };
+}
@@ -0,0 +1,109 @@
+// src/components/PageFeedback/index.jsx
+import React, { useMemo, useState } from "react";
+import clsx from "clsx";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { useActivePlugin, useDoc } from "@docusaurus/plugin-content-docs/client";
+import { useAuth } from "@site/src/auth/AuthProvider";
+import useAuthenticatedFetch from "@site/src/auth/useAuthenticatedFetch";
+import { splitEndpoint } from "./endpoint";
+import styles from "./styles.module.css";
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * "Was this page helpful?" with an optional comment, under every doc page.
+ * Sends the doc ID, docs instance, version and the signed-in account's ID to
+ * `customFields.feedback.endpoint`; renders nothing when none is configured.
+ */
+export default function PageFeedback() {
+  const { siteConfig } = useDocusaurusContext();
+  const endpoint = siteConfig.customFields?.feedback?.endpoint;
+  const { metadata } = useDoc();
+  const { pluginId } = useActivePlugin();
+  const { account } = useAuth();
+  // The reader's token goes along, so the endpoint can check the account ID
+  const target = useMemo(() => (endpoint ? splitEndpoint(endpoint) : { baseUrl: "", path: "" }), [endpoint]);
+  const { request, loading, error } = useAuthenticatedFetch(target.baseUrl);
+  const [helpful, setHelpful] = useState(null);
+  const [comment, setComment] = useState("");
+  const [sent, setSent] = useState(false);
+
+  if (!endpoint) return null;
+
+  if (sent) {
+    return (
+      <div className={styles.feedback} role="status">
+        Thanks for your feedback.
+      </div>
+    );
+  }
+
+  const submit = async (event) => {
+    event.preventDefault();
+    try {
+      await request(target.path, {
+        method: "POST",
+        body: {
+          pageId: metadata.id,
+          title: metadata.title,
+          permalink: metadata.permalink,
+          docsInstance: pluginId,
+          version: metadata.version,
+          helpful,
+          comment: comment.trim() || undefined,
+          accountId: account?.homeAccountId,
+        },
+      });
+      setSent(true);
+    } catch {
+      // Shown from `error` below
+    }
+  };
+
+  return (
+    <form className={styles.feedback} onSubmit={submit}>
+      <div className={styles.question}>
+        <span id="page-feedback-question">Was this page helpful?</span>
+        <div role="group" aria-labelledby="page-feedback-question" className={styles.choices}>
+          <button
+            type="button"
+            className={clsx("button button--sm", helpful === true ? "button--primary" : "button--secondary")}
+            aria-pressed={helpful === true}
+            onClick={() => setHelpful(true)}
+          >
+            👍 Yes
+          </button>
+          <button
+            type="button"
+            className={clsx("button button--sm", helpful === false ? "button--primary" : "button--secondary")}
+            aria-pressed={helpful === false}
+            onClick={() => setHelpful(false)}
+          >
+            👎 No
+          </button>
+        </div>
+      </div>
+      {helpful !== null && (
+        <>
+          <label className={styles.comment}>
+            {helpful ? "Anything we could add? (optional)" : "What was missing or wrong? (optional)"}
+            <textarea
+              rows={3}
+              maxLength={MAX_COMMENT_LENGTH}
+              value={comment}
+              onChange={(event) => setComment(event.target.value)}
+            />
+          </label>
+          <button type="submit" className="button button--primary button--sm" disabled={loading}>
+            {loading ? "Sending…" : "Send feedback"}
+          </button>
+          {error && (
+            <div className="alert alert--danger margin-top--sm" role="alert">
+              Your feedback could not be sent: {error.message}
+            </div>
+          )}
+        </>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,8 @@
+// src/components/PrintDocs/context.js
+import { createContext } from "react";
+
+// Set on print pages: `{ includeProtected }`, whether <Protected> content is
+// part of the printed copy. Null everywhere else.
+const PrintContext = createContext(null);
+
+export default PrintContext;
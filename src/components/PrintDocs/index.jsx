@@ -0,0 +1,187 @@
+// src/components/PrintDocs/index.jsx
+import React, { createContext, useContext } from "react";
+import clsx from "clsx";
+import Layout from "@theme/Layout";
+import Heading from "@theme/Heading";
+import MDXContent from "@theme/MDXContent";
+import MDXA from "@theme/MDXComponents/A";
+import { MDXProvider } from "@mdx-js/react";
+import Link from "@docusaurus/Link";
+import useBrokenLinks from "@docusaurus/useBrokenLinks";
+import useIsBrowser from "@docusaurus/useIsBrowser";
+import { useBaseUrlUtils } from "@docusaurus/useBaseUrl";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { parseAccessPolicy } from "@site/src/auth/access";
+import Protected from "@site/src/components/Protected";
+import PrintContext from "./context";
+import styles from "./styles.module.css";
+
+// Fixed locale and time zone, so the server-rendered date matches the browser's
+const dateFormat = new Intl.DateTimeFormat("en", { dateStyle: "long", timeStyle: "short", timeZone: "UTC" });
+
+// Anchor of the doc being rendered. Its heading ids and in-page links are
+// prefixed with it, so two docs with the same heading don't share an id.
+const DocAnchorContext = createContext("");
+
+function PrintHeading({ as, id, ...props }) {
+  const docAnchor = useContext(DocAnchorContext);
+  return <Heading as={as} id={id && `${docAnchor}-${id}`} {...props} />;
+}
+
+const headings = Object.fromEntries(
+  ["h1", "h2", "h3", "h4", "h5", "h6"].map((tag) => [tag, (props) => <PrintHeading as={tag} {...props} />])
+);
+
+// Links from the docs into other pages. Protected pages render no headings at
+// build time, so only the page of such a link is checked, not its anchor.
+function PrintLink({ href, ...props }) {
+  const brokenLinks = useBrokenLinks();
+  const { withBaseUrl } = useBaseUrlUtils();
+  const docAnchor = useContext(DocAnchorContext);
+  if (href?.startsWith("#") && href.length > 1) return <MDXA href={`#${docAnchor}-${href.slice(1)}`} {...props} />;
+  const [page, anchor] = (href ?? "").split("#");
+  if (!page.startsWith("/") || anchor === undefined) return <MDXA href={href} {...props} />;
+  brokenLinks.collectLink(withBaseUrl(page));
+  return <MDXA href={href} {...props} data-noBrokenLinkCheck />;
+}
+
+// Checks the reader's access to the internal edition in the browser. Inside the
+// print context <Protected> passes its children through, so the check runs
+// outside it.
+function AccessGate({ access, children }) {
+  const print = useContext(PrintContext);
+  const policy = parseAccessPolicy(access);
+  if (policy.public) return <>{children}</>;
+  return (
+    <PrintContext.Provider value={null}>
+      <Protected roles={policy.roles} groups={policy.groups}>
+        <PrintContext.Provider value={print}>{children}</PrintContext.Provider>
+      </Protected>
+    </PrintContext.Provider>
+  );
+}
+
+function Ungated({ children }) {
+  return <>{children}</>;
+}
+
+function Cover({ print, title, pageCount }) {
+  const { siteConfig } = useDocusaurusContext();
+  return (
+    <section className={styles.cover}>
+      <p className={styles.site}>{siteConfig.title}</p>
+      <Heading as="h1" className={styles.title} data-print-title>
+        {title}
+      </Heading>
+      <dl className={styles.details}>
+        {print.version && (
+          <>
+            <dt>Version</dt>
+            <dd>{print.version}</dd>
+          </>
+        )}
+        <dt>Built</dt>
+        <dd>{dateFormat.format(new Date(print.buildDate))} UTC</dd>
+        <dt>Pages</dt>
+        <dd>{pageCount}</dd>
+        <dt>Online</dt>
+        <dd>{`${siteConfig.url}${print.docsUrl}`}</dd>
+      </dl>
+      {print.distribution === "internal" ? (
+        <p className={styles.notice}>
+          Internal distribution. This copy includes content for signed-in readers; do not share it outside Biosero.
+        </p>
+      ) : (
+        <p className={styles.notice}>
+          Public edition.
+          {print.omitted > 0 &&
+            ` ${print.omitted} ${print.omitted === 1 ? "page" : "pages"} for signed-in readers ${print.omitted === 1 ? "is" : "are"} not included.`}
+        </p>
+      )}
+    </section>
+  );
+}
+
+function Contents({ entries }) {
+  return (
+    <nav className={styles.contents} aria-label="Contents">
+      <Heading as="h2">Contents</Heading>
+      <ol className={styles.entries}>
+        {entries.map((entry, i) =>
+          entry.type === "category" ? (
+            <li key={i} className={styles.category} style={{ "--depth": entry.depth }}>
+              {entry.label}
+            </li>
+          ) : (
+            <li key={entry.anchor} className={styles.entry} style={{ "--depth": entry.depth }}>
+              <a href={`#${entry.anchor}`}>{entry.label}</a>
+              <span className={styles.leader} />
+              {/* Filled in when the page is rendered to PDF, see plugins/print-docs/pdf.js */}
+              <span className={styles.pageRef} data-page-ref={entry.anchor} />
+            </li>
+          )
+        )}
+      </ol>
+    </nav>
+  );
+}
+
+/**
+ * Every doc of one docs instance on a single print-styled page, added by
+ * plugins/print-docs at <routeBasePath>/print. `docs` are the compiled docs
+ * in the order of `print.entries`.
+ */
+export default function PrintDocs({ print, docs }) {
+  const brokenLinks = useBrokenLinks();
+  const pages = print.entries.filter((entry) => entry.type === "doc");
+  pages.forEach((page) => brokenLinks.collectAnchor(page.anchor));
+  const title = `${print.label} documentation`;
+  // The build renders the internal edition in full, to print it to PDF, and
+  // then removes it. In the browser it is only shown to readers with access.
+  const isBrowser = useIsBrowser();
+  const Gate = print.distribution === "internal" && isBrowser ? AccessGate : Ungated;
+
+  return (
+    <Layout title={`${title} (print)`} description={`Every page of the ${print.label} docs, ready to print`}>
+      <PrintContext.Provider value={{ includeProtected: print.distribution === "internal" }}>
+        <main className={clsx("container margin-vert--lg", styles.print)}>
+          <Gate access={print.access}>
+            <div className={styles.toolbar}>
+              <button type="button" className="button button--primary" onClick={() => window.print()}>
+                Print
+              </button>
+              {print.pdfUrl && (
+                // Written after the build, so not a route the link checker knows
+                <Link className="button button--secondary" to={`pathname://${print.pdfUrl}`}>
+                  Download PDF
+                </Link>
+              )}
+              <Link className="button button--link" to={print.docsUrl}>
+                Back to the {print.label} docs
+              </Link>
+            </div>
+            <Cover print={print} title={title} pageCount={pages.length} />
+            <Contents entries={print.entries} />
+            {pages.map((page, i) => {
+              const Content = docs[i].content;
+              return (
+                <article key={page.anchor} id={page.anchor} className={styles.doc}>
+                  <Gate access={page.access}>
+                    {!Content.contentTitle && <Heading as="h1">{page.title}</Heading>}
+                    <MDXContent>
+                      <DocAnchorContext.Provider value={page.anchor}>
+                        <MDXProvider components={{ ...headings, a: PrintLink }}>
+                          <Content />
+                        </MDXProvider>
+                      </DocAnchorContext.Provider>
+                    </MDXContent>
+                  </Gate>
+                </article>
+              );
+            })}
+          </Gate>
+        </main>
+      </PrintContext.Provider>
+    </Layout>
+  );
+}
@@ -1,19 +1,76 @@
 // src/components/Protected.jsx
-import React from "react";
+import React, { useContext, useEffect, useRef } from "react";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
 import { useAuth } from "@site/src/auth/AuthProvider";
-import useBaseUrl from "@docusaurus/useBaseUrl";
-
-export default function Protected({ children }) {
-  const { isAuthenticated } = useAuth();
-  const loginUrl = useBaseUrl("/login");
-
-  // Temporarily disable authentication - uncomment lines below to re-enable
-  // if (!isAuthenticated) {
-  //   if (typeof window !== "undefined") {
-  //     window.location.href = loginUrl;
-  //   }
-  //   return null;
-  // }
+import { hasAccess } from "@site/src/auth/access";
+import AccessDenied from "@site/src/components/AccessDenied";
+import PrintContext from "@site/src/components/PrintDocs/context";
+
+// Renders children only for signed-in users. With `roles` or `groups`, the
+// account must also hold at least one of them in its ID-token claims.
+// Print pages include or leave out the children as their build says instead.
+export default function Protected({ children, roles = [], groups = [] }) {
+  const print = useContext(PrintContext);
+  const { isAuthenticated, account, login, ready, error, retry, showProtectedContent } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const claimNames = siteConfig.customFields?.auth?.claims;
+  // Browsers block popups that are not opened from a click, so popup sign-in
+  // waits for the reader instead of starting on its own.
+  const usePopup = siteConfig.customFields?.auth?.interaction === "popup";
+
+  // The provider makes a new login on every render, so the effect reads the
+  // latest one from a ref instead of starting again each time
+  const loginRef = useRef(login);
+  loginRef.current = login;
+
+  useEffect(() => {
+    if (!print && ready && !isAuthenticated && !usePopup) loginRef.current();
+  }, [print, ready, isAuthenticated, usePopup]);
+
+  // A logout in another tab sends this tab away while the content is shown
+  const shown = !print && ready && isAuthenticated && hasAccess(account, { roles, groups }, claimNames);
+  useEffect(() => {
+    if (shown) return showProtectedContent();
+  }, [shown, showProtectedContent]);
+
+  if (print) {
+    if (print.includeProtected) return <>{children}</>;
+    return (
+      <div className="alert alert--secondary margin-vert--md" role="note">
+        Content for signed-in readers is not included in this copy.
+      </div>
+    );
+  }
+
+  if (ready && !isAuthenticated && error) {
+    return (
+      <div className="alert alert--danger margin-vert--lg" role="alert">
+        <p>Sign-in failed: {error.message}</p>
+        <button className="button button--primary" type="button" onClick={() => retry()}>
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  if (ready && !isAuthenticated && usePopup) {
+    return (
+      <div className="alert alert--info margin-vert--lg">
+        <p>Sign in to read this page.</p>
+        <button className="button button--primary" type="button" onClick={() => login()}>
+          Sign in
+        </button>
+      </div>
+    );
+  }
+
+  if (!ready || !isAuthenticated) {
+    return <p>Checking access…</p>;
+  }
+
+  if (!hasAccess(account, { roles, groups }, claimNames)) {
+    return <AccessDenied roles={roles} groups={groups} />;
+  }
 
   return <>{children}</>;
 }
@@ -0,0 +1,45 @@
+// src/components/SdkExample/index.jsx
+import React from "react";
+import Tabs from "@theme/Tabs";
+import TabItem from "@theme/TabItem";
+import CodeBlock from "@theme/CodeBlock";
+
+// Every SdkExample shares this group, so picking a language switches all of
+// them and the choice is remembered on every page.
+export const SDK_LANGUAGE_GROUP = "sdk-language";
+
+const LANGUAGES = [
+  { value: "csharp", label: "C#", source: "C# SDK", highlight: "csharp" },
+  { value: "python", label: "Python", source: "Python SDK", highlight: "python" },
+  { value: "curl", label: "curl", source: "REST API", highlight: "bash" },
+];
+
+/**
+ * The same operation in each SDK and over plain HTTP. Languages without code
+ * keep their tab and say so, so switching languages never loses the reader's
+ * place.
+ *
+ * <SdkExample
+ *   csharp={`var identity = await client.GetIdentityAsync("PLATE-001");`}
+ *   python={`identity = client.get_identity("PLATE-001")`}
+ * />
+ */
+export default function SdkExample({ title, ...examples }) {
+  return (
+    <Tabs groupId={SDK_LANGUAGE_GROUP}>
+      {LANGUAGES.map(({ value, label, source, highlight }) => (
+        <TabItem key={value} value={value} label={label}>
+          {examples[value] ? (
+            <CodeBlock language={highlight} title={title}>
+              {examples[value].trim()}
+            </CodeBlock>
+          ) : (
+            <div className="alert alert--secondary" role="note">
+              Not available in the {source}.
+            </div>
+          )}
+        </TabItem>
+      ))}
+    </Tabs>
+  );
+}
@@ -0,0 +1,74 @@
+// src/components/SessionExpiryBanner.jsx
+import React, { useEffect, useState } from "react";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { useAuth } from "@site/src/auth/AuthProvider";
+
+const WARN_DEFAULT_SECONDS = 300;
+
+function formatRemaining(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+// Shown once background renewal has failed and the session is about to end,
+// so the reader can renew it without losing their place on the page.
+export default function SessionExpiryBanner() {
+  const { isAuthenticated, session, renewSession } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const warnSeconds = siteConfig.customFields?.auth?.session?.warnBeforeExpirySeconds ?? WARN_DEFAULT_SECONDS;
+  const [now, setNow] = useState(() => Date.now());
+  const [renewing, setRenewing] = useState(false);
+
+  // Renewal has failed; without a known expiry the banner shows no countdown
+  const active = isAuthenticated && session.expiring;
+  const counting = active && !!session.expiresOn;
+
+  useEffect(() => {
+    if (!counting) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [counting]);
+
+  if (!active) return null;
+  const remaining = counting ? session.expiresOn - now : null;
+  if (remaining !== null && remaining > warnSeconds * 1000) return null;
+
+  const handleRenew = async () => {
+    setRenewing(true);
+    try {
+      await renewSession();
+    } finally {
+      setRenewing(false);
+    }
+  };
+
+  return (
+    <div
+      className="alert alert--warning shadow--md"
+      role="status"
+      style={{
+        position: "fixed",
+        bottom: "1rem",
+        left: "50%",
+        transform: "translateX(-50%)",
+        zIndex: "var(--ifm-z-index-fixed)",
+        display: "flex",
+        alignItems: "center",
+        gap: "1rem",
+      }}
+    >
+      <span>
+        {remaining === null
+          ? "Your session could not be renewed."
+          : remaining > 0
+            ? `Your session expires in ${formatRemaining(remaining)}.`
+            : "Your session has expired."}
+      </span>
+      <button className="button button--sm button--warning" type="button" onClick={handleRenew} disabled={renewing}>
+        {renewing ? "Renewing…" : "Renew session"}
+      </button>
+    </div>
+  );
+}
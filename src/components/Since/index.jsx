@@ -0,0 +1,14 @@
+// src/components/Since/index.jsx
+import React from "react";
+import clsx from "clsx";
+import styles from "./styles.module.css";
+
+// "New in 2.1.0" badge for method headings: `## get_net_volume() <Since version="2.1.0" />`.
+// plugins/release-notes lists every badged heading on the /release-notes/compare page.
+export default function Since({ version }) {
+  return (
+    <span className={clsx("badge badge--info", styles.badge)} title={`Added in version ${version}`}>
+      New in {version}
+    </span>
+  );
+}
@@ -0,0 +1,211 @@
+// src/components/TryIt/index.jsx
+import React, { useEffect, useState } from "react";
+import CodeBlock from "@theme/CodeBlock";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { useAuth } from "@site/src/auth/AuthProvider";
+import useAuthenticatedFetch from "@site/src/auth/useAuthenticatedFetch";
+import styles from "./styles.module.css";
+
+// Shared by every console on the site so the reader picks their server once
+const BASE_URL_KEY = "tryIt.baseUrl";
+const CUSTOM = "custom";
+const METHOD_CLASSES = {
+  GET: "badge--success",
+  POST: "badge--primary",
+  PUT: "badge--warning",
+  PATCH: "badge--warning",
+  DELETE: "badge--danger",
+};
+
+function pathParamNames(path) {
+  return [...path.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+}
+
+// `query` entries are names or `{ name, description, default, required }` objects
+function normalizeParams(query) {
+  return query.map((param) => (typeof param === "string" ? { name: param } : param));
+}
+
+function fillPath(path, values) {
+  return path.replace(/\{([^}]+)\}/g, (_, name) => encodeURIComponent(values[name] ?? ""));
+}
+
+function formatBody(data) {
+  if (data === null || data === undefined) return "(empty body)";
+  return typeof data === "string" ? data : JSON.stringify(data, null, 2);
+}
+
+function ParamInput({ param, value, onChange }) {
+  return (
+    <label className={styles.param}>
+      <code>{param.name}</code>
+      <input
+        className={styles.input}
+        type="text"
+        value={value}
+        onChange={(e) => onChange(param.name, e.target.value)}
+      />
+      {param.required && <small>Required.</small>}
+      {param.description && <small>{param.description}</small>}
+    </label>
+  );
+}
+
+// `servers` are the presets of this deployment, `customFields.tryIt.servers`
+function BaseUrlPicker({ servers, baseUrl, onChange }) {
+  const [customMode, setCustomMode] = useState(false);
+  const custom = customMode || !servers.includes(baseUrl);
+
+  return (
+    <label className={styles.param}>
+      <span>Server</span>
+      <select
+        className={styles.input}
+        value={custom ? CUSTOM : baseUrl}
+        onChange={(e) => {
+          const next = e.target.value;
+          setCustomMode(next === CUSTOM);
+          if (next !== CUSTOM) onChange(next);
+        }}
+      >
+        {servers.map((url) => (
+          <option key={url} value={url}>
+            {url}
+          </option>
+        ))}
+        <option value={CUSTOM}>Other server…</option>
+      </select>
+      {custom && (
+        <input
+          className={styles.input}
+          type="url"
+          value={baseUrl}
+          placeholder="https://orchestrator.example.com/"
+          onChange={(e) => onChange(e.target.value)}
+        />
+      )}
+    </label>
+  );
+}
+
+/**
+ * Sends a live request to a Data Services endpoint from the docs.
+ * `path` may contain `{name}` segments, which get their own inputs. The
+ * request is not sent while one of them, or a required query parameter, is
+ * empty.
+ *
+ * <TryIt method="GET" path="/api/v2.0/QueryService/Identity" query={[{ name: "id", required: true }]} />
+ */
+export default function TryIt({ method = "GET", path, query = [], body: initialBody }) {
+  const verb = method.toUpperCase();
+  const { isAuthenticated } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const servers = siteConfig.customFields?.tryIt?.servers ?? [];
+  const [baseUrl, setBaseUrl] = useState(servers[0] ?? "");
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(normalizeParams(query).map((param) => [param.name, param.default ?? ""]))
+  );
+  const [body, setBody] = useState(() =>
+    typeof initialBody === "string" ? initialBody : initialBody ? JSON.stringify(initialBody, null, 2) : ""
+  );
+  const { request, loading, error, response } = useAuthenticatedFetch(baseUrl);
+  const pathParams = pathParamNames(path).map((name) => ({ name, required: true }));
+  const queryParams = normalizeParams(query);
+  const missing = [...pathParams, ...queryParams]
+    .filter((param) => param.required && !String(values[param.name] ?? "").trim())
+    .map((param) => param.name);
+  const hasBody = verb !== "GET" && verb !== "DELETE";
+
+  useEffect(() => {
+    try {
+      const saved = localStorage.getItem(BASE_URL_KEY);
+      if (saved) setBaseUrl(saved);
+    } catch {}
+  }, []);
+
+  const changeBaseUrl = (next) => {
+    setBaseUrl(next);
+    try {
+      localStorage.setItem(BASE_URL_KEY, next);
+    } catch {}
+  };
+
+  const setValue = (name, value) => setValues((current) => ({ ...current, [name]: value }));
+
+  const send = async (e) => {
+    e.preventDefault();
+    if (missing.length > 0) return;
+    const queryValues = Object.fromEntries(queryParams.map((param) => [param.name, values[param.name]]));
+    let payload;
+    if (hasBody && body.trim()) {
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        payload = body;
+      }
+    }
+    try {
+      await request(fillPath(path, values), { method: verb, query: queryValues, body: payload });
+    } catch {
+      // Shown from the hook's error state below
+    }
+  };
+
+  return (
+    <form className={`card margin-vert--md ${styles.console}`} onSubmit={send}>
+      <div className="card__header">
+        <span className={`badge ${METHOD_CLASSES[verb] ?? "badge--secondary"}`}>{verb}</span>{" "}
+        <code>{path}</code>
+      </div>
+      <div className="card__body">
+        <BaseUrlPicker servers={servers} baseUrl={baseUrl} onChange={changeBaseUrl} />
+        {[...pathParams, ...queryParams].map((param) => (
+          <ParamInput key={param.name} param={param} value={values[param.name] ?? ""} onChange={setValue} />
+        ))}
+        {hasBody && (
+          <label className={styles.param}>
+            <span>Body (JSON)</span>
+            <textarea className={styles.input} rows={6} value={body} onChange={(e) => setBody(e.target.value)} />
+          </label>
+        )}
+        <div className={styles.actions}>
+          <button className="button button--primary" type="submit" disabled={loading || !baseUrl || missing.length > 0}>
+            {loading ? "Sending…" : "Send request"}
+          </button>
+          <small>
+            {missing.length > 0
+              ? `Fill in ${missing.map((name) => `"${name}"`).join(", ")} to send the request.`
+              : isAuthenticated
+                ? "Sent with your sign-in token."
+                : "Sent without a token. Sign in to call secured endpoints."}
+          </small>
+        </div>
+      </div>
+      {(response || error) && (
+        <div className="card__footer">
+          {error && <div className="alert alert--danger margin-bottom--sm">{error.message}</div>}
+          {response && (
+            <>
+              <p>
+                <strong>
+                  {response.status} {response.statusText}
+                </strong>
+              </p>
+              <details className="margin-bottom--sm">
+                <summary>Response headers</summary>
+                <CodeBlock language="text">
+                  {Object.entries(response.headers)
+                    .map(([name, value]) => `${name}: ${value}`)
+                    .join("\n")}
+                </CodeBlock>
+              </details>
+              <CodeBlock language={typeof response.data === "string" ? "text" : "json"}>
+                {formatBody(response.data)}
+              </CodeBlock>
+            </>
+          )}
+        </div>
+      )}
+    </form>
+  );
+}
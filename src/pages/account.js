@@ -0,0 +1,89 @@
+// src/pages/account.js
+import React from "react";
+import Layout from "@theme/Layout";
+import Heading from "@theme/Heading";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { useAuth } from "@site/src/auth/AuthProvider";
+import { canAccess, describeAccess, getAccountGroups, getAccountRoles, parseAccessPolicy } from "@site/src/auth/access";
+import { getAccountProfile } from "@site/src/auth/profile";
+
+function formatTime(epochMs) {
+  return epochMs ? new Date(epochMs).toLocaleString() : "—";
+}
+
+function AccountDetails() {
+  const { isAuthenticated, account, login, session, ready } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const claimNames = siteConfig.customFields?.auth?.claims;
+  const sections = siteConfig.customFields?.docsSections ?? [];
+
+  if (!ready) {
+    return <p>Loading account…</p>;
+  }
+
+  if (!isAuthenticated) {
+    return (
+      <>
+        <p>You are not signed in.</p>
+        <button className="button button--primary" type="button" onClick={() => login()}>
+          Sign in
+        </button>
+      </>
+    );
+  }
+
+  const profile = getAccountProfile(account, claimNames);
+  const roles = getAccountRoles(account, claimNames);
+  const groups = getAccountGroups(account, claimNames);
+
+  return (
+    <>
+      <table>
+        <tbody>
+          <tr><th>Name</th><td>{profile.name}</td></tr>
+          <tr><th>Email</th><td>{profile.email ?? "—"}</td></tr>
+          <tr><th>Organization</th><td>{profile.organization ?? "—"}</td></tr>
+          <tr><th>Tenant</th><td>{profile.tenant ?? "—"}</td></tr>
+          <tr><th>Issuer</th><td>{profile.issuer ?? "—"}</td></tr>
+          <tr><th>Roles</th><td>{roles.length > 0 ? roles.join(", ") : "—"}</td></tr>
+          <tr><th>Groups</th><td>{groups.length > 0 ? groups.join(", ") : "—"}</td></tr>
+          <tr><th>Token expires</th><td>{formatTime(session.expiresOn)}</td></tr>
+        </tbody>
+      </table>
+
+      <Heading as="h2">Documentation access</Heading>
+      <table>
+        <thead>
+          <tr>
+            <th>Section</th>
+            <th>Requires</th>
+            <th>Your access</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sections.map((section) => {
+            const access = parseAccessPolicy(section.access);
+            return (
+              <tr key={section.id}>
+                <td>{section.label}</td>
+                <td>{describeAccess(access)}</td>
+                <td>{canAccess(account, access, claimNames) ? "✅ Allowed" : "🚫 No access"}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </>
+  );
+}
+
+export default function AccountPage() {
+  return (
+    <Layout title="Account" description="Your account, roles and documentation access">
+      <main className="container margin-vert--lg">
+        <Heading as="h1">Account</Heading>
+        <AccountDetails />
+      </main>
+    </Layout>
+  );
+}
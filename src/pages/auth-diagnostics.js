@@ -0,0 +1,219 @@
+// src/pages/auth-diagnostics.js
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import Layout from "@theme/Layout";
+import Heading from "@theme/Heading";
+import BrowserOnly from "@docusaurus/BrowserOnly";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { useAuth } from "@site/src/auth/AuthProvider";
+import { resolveAuthConfig } from "@site/src/auth/authConfig";
+import {
+  checkMetadata,
+  formatReport,
+  listAuthStorage,
+  metadataCandidates,
+  summarizeAccount,
+} from "@site/src/auth/diagnostics";
+
+function KeyValueTable({ rows }) {
+  return (
+    <table>
+      <tbody>
+        {rows.map(([key, value]) => (
+          <tr key={key}>
+            <th>{key}</th>
+            <td><code>{value ?? "—"}</code></td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function DiagnosticsClient() {
+  const { siteConfig } = useDocusaurusContext();
+  const { account, getAllAccounts, session, lastError, ready } = useAuth();
+  const [metadataChecks, setMetadataChecks] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [copyError, setCopyError] = useState(null);
+  // Only the latest run of the checks may show its results
+  const runRef = useRef(0);
+
+  const resolved = useMemo(() => {
+    try {
+      return { config: resolveAuthConfig(siteConfig), error: null };
+    } catch (e) {
+      return { config: null, error: e.message };
+    }
+  }, [siteConfig]);
+
+  const runChecks = async () => {
+    const run = ++runRef.current;
+    setMetadataChecks(null);
+    const candidates = resolved.config ? metadataCandidates(resolved.config) : [];
+    const checks = await Promise.all(candidates.map(checkMetadata));
+    if (run === runRef.current) setMetadataChecks(checks);
+  };
+
+  useEffect(() => {
+    runChecks();
+  }, [resolved]);
+
+  const config = resolved.config;
+  const report = {
+    generatedAt: new Date().toISOString(),
+    page: window.location.href,
+    userAgent: navigator.userAgent,
+    config: config && {
+      provider: config.provider,
+      environment: config.environment,
+      clientId: config.clientId ?? null,
+      authority: config.authority ?? null,
+      knownAuthorities: config.knownAuthorities ?? null,
+      metadataUrl: config.metadataUrl ?? null,
+      redirectUri: config.redirectUri,
+      postLogoutRedirectUri: config.postLogoutRedirectUri,
+      scopes: config.scopes,
+    },
+    configError: resolved.error,
+    metadataChecks,
+    activeAccount: account?.homeAccountId ?? null,
+    accounts: ready ? getAllAccounts().map(summarizeAccount) : [],
+    accessTokenExpiresOn: session.expiresOn ? new Date(session.expiresOn).toISOString() : null,
+    storage: listAuthStorage(),
+    lastError,
+  };
+  const reportText = formatReport(report);
+
+  // The clipboard is refused on insecure origins, without permission or
+  // while the page is not focused; the report can still be selected below
+  const copyReport = async () => {
+    try {
+      await navigator.clipboard.writeText(reportText);
+    } catch (e) {
+      setCopyError(e?.message ?? String(e));
+      return;
+    }
+    setCopyError(null);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <>
+      <Heading as="h2">Configuration</Heading>
+      {resolved.error ? (
+        <div className="alert alert--danger">{resolved.error}</div>
+      ) : (
+        <KeyValueTable
+          rows={[
+            ["Provider", config.provider],
+            ["Environment", config.environment],
+            ["Client ID", config.clientId],
+            ["Authority", config.authority],
+            ["Redirect URI", config.redirectUri],
+            ["Post-logout URI", config.postLogoutRedirectUri],
+            ["Scopes", config.scopes.join(" ")],
+          ]}
+        />
+      )}
+
+      <Heading as="h2">Authority metadata</Heading>
+      {metadataChecks === null && <p>Checking…</p>}
+      {metadataChecks?.length === 0 && <p>This provider has no metadata document.</p>}
+      {metadataChecks?.map((check) => (
+        <div key={check.url} className={`alert ${check.ok ? "alert--success" : "alert--danger"} margin-bottom--sm`}>
+          <div><code>{check.url}</code></div>
+          {check.ok ? (
+            <small>
+              HTTP {check.status} in {check.elapsedMs} ms — issuer <code>{check.issuer}</code>
+            </small>
+          ) : (
+            <small>
+              Failed{check.status ? ` with HTTP ${check.status}` : ""}: {check.error}
+            </small>
+          )}
+        </div>
+      ))}
+      <button className="button button--secondary button--sm" type="button" onClick={runChecks}>
+        Run checks again
+      </button>
+
+      <Heading as="h2" className="margin-top--lg">Cached accounts</Heading>
+      {report.accounts.length === 0 ? (
+        <p>No accounts are cached in this browser.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Account</th>
+              <th>ID token issued</th>
+              <th>ID token expires</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.accounts.map((summary) => (
+              <tr key={summary.homeAccountId}>
+                <td>
+                  {summary.username}
+                  {summary.homeAccountId === report.activeAccount && " (active)"}
+                </td>
+                <td>{summary.idTokenIssuedAt ?? "—"}</td>
+                <td>{summary.idTokenExpiresOn ?? "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p>Access token expires: {report.accessTokenExpiresOn ?? "—"}</p>
+
+      <Heading as="h2">Last error</Heading>
+      {lastError ? (
+        <KeyValueTable
+          rows={[
+            ["Operation", lastError.operation],
+            ["Error", `${lastError.name}: ${lastError.message}`],
+            ["Error code", lastError.errorCode],
+            ["Sub-error", lastError.subError],
+            ["Correlation ID", lastError.correlationId],
+            ["When", lastError.at],
+          ]}
+        />
+      ) : (
+        <p>No sign-in errors recorded in this tab.</p>
+      )}
+
+      <Heading as="h2">Report</Heading>
+      <p>Attach this report to support tickets. It contains no token values.</p>
+      <button className="button button--primary margin-bottom--sm" type="button" onClick={copyReport}>
+        {copied ? "Copied" : "Copy report"}
+      </button>
+      {copyError && (
+        <div className="alert alert--warning margin-bottom--sm" role="alert">
+          Could not copy the report ({copyError}). Select the text below and copy it instead.
+        </div>
+      )}
+      <textarea readOnly value={reportText} rows={20} style={{ width: "100%", fontFamily: "var(--ifm-font-family-monospace)" }} />
+    </>
+  );
+}
+
+export default function AuthDiagnosticsPage() {
+  const { siteConfig } = useDocusaurusContext();
+  const enabled = siteConfig.customFields?.auth?.diagnostics === true;
+
+  return (
+    <Layout title="Auth diagnostics" description="Sign-in troubleshooting for support tickets">
+      <main className="container margin-vert--lg">
+        <Heading as="h1">Auth diagnostics</Heading>
+        {enabled ? (
+          <BrowserOnly fallback={<p>Loading diagnostics…</p>}>{() => <DiagnosticsClient />}</BrowserOnly>
+        ) : (
+          <p>
+            Diagnostics are turned off for this build. Rebuild with <code>AUTH_DIAGNOSTICS=true</code> to enable
+            this page.
+          </p>
+        )}
+      </main>
+    </Layout>
+  );
+}
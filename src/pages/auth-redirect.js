@@ -1,22 +1,22 @@
 // src/pages/auth-redirect.js
 import React from "react";
 import BrowserOnly from "@docusaurus/BrowserOnly";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
 
 export default function AuthRedirectPage() {
+  const { siteConfig } = useDocusaurusContext();
   return (
     <BrowserOnly fallback={<p>Finishing sign-in…</p>}>
       {() => {
         const React = require("react");
         const { useEffect } = React;
         const { useAuth } = require("@site/src/auth/AuthProvider");
+        const { navigateToReturnTo } = require("@site/src/auth/navigation");
 
         function AuthRedirectClient() {
           const { ready } = useAuth();
           useEffect(() => {
-            if (!ready) return;
-            const returnTo = sessionStorage.getItem("returnTo") || "/biosero-api-docs/";
-            sessionStorage.removeItem("returnTo");
-            window.location.replace(returnTo);
+            if (ready) navigateToReturnTo(siteConfig.baseUrl);
           }, [ready]);
           return <p>Finishing sign-in…</p>;
         }
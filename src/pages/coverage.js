@@ -0,0 +1,106 @@
+// src/pages/coverage.js
+import React, { Fragment, useState } from "react";
+import clsx from "clsx";
+import Layout from "@theme/Layout";
+import Heading from "@theme/Heading";
+import Link from "@docusaurus/Link";
+import useBrokenLinks from "@docusaurus/useBrokenLinks";
+import operationMap from "@generated/operation-map/default/operations.json";
+import styles from "./coverage.module.css";
+
+const { surfaces, operations } = operationMap;
+const areas = [...new Set(operations.map((operation) => operation.area))];
+
+// Not link-checked, like the rows in src/components/MethodEquivalents
+function MethodLinks({ methods }) {
+  if (methods.length === 0) return <span className={styles.missing}>Missing</span>;
+  return methods.map((entry, i) => (
+    <Fragment key={entry.name}>
+      {i > 0 && <br />}
+      <Link to={entry.url} data-noBrokenLinkCheck>
+        <code>{entry.label}</code>
+      </Link>
+    </Fragment>
+  ));
+}
+
+export default function CoveragePage() {
+  // Rows are linked to from every equivalents row, so the link checker has
+  // to know their ids
+  const brokenLinks = useBrokenLinks();
+  operations.forEach((operation) => brokenLinks.collectAnchor(operation.id));
+  // Surface whose gaps are shown, or null for every operation
+  const [gapsIn, setGapsIn] = useState(null);
+  const shown = operations.filter((operation) => !gapsIn || operation.methods[gapsIn].length === 0);
+
+  return (
+    <Layout title="SDK coverage" description="Which operations the REST API and each SDK support">
+      <main className="container margin-vert--lg">
+        <Heading as="h1">SDK coverage</Heading>
+        <p>
+          Every operation of Biosero Data Services and how to call it from the REST API and each SDK. Method pages link
+          here from their “Equivalent in” row.
+        </p>
+
+        <div className={styles.summary} role="group" aria-label="Show gaps">
+          <button
+            type="button"
+            className={clsx("button button--sm", gapsIn ? "button--secondary" : "button--primary")}
+            aria-pressed={!gapsIn}
+            onClick={() => setGapsIn(null)}
+          >
+            All {operations.length} operations
+          </button>
+          {surfaces.map((surface) => {
+            const missing = operations.filter((operation) => operation.methods[surface.id].length === 0).length;
+            return (
+              <button
+                key={surface.id}
+                type="button"
+                className={clsx("button button--sm", gapsIn === surface.id ? "button--primary" : "button--secondary")}
+                aria-pressed={gapsIn === surface.id}
+                onClick={() => setGapsIn(surface.id)}
+              >
+                {surface.label}: {operations.length - missing} supported, {missing} missing
+              </button>
+            );
+          })}
+        </div>
+
+        <table className={styles.matrix}>
+          <thead>
+            <tr>
+              <th>Operation</th>
+              {surfaces.map((surface) => (
+                <th key={surface.id}>{surface.label}</th>
+              ))}
+            </tr>
+          </thead>
+          {areas.map((area) => {
+            const rows = shown.filter((operation) => operation.area === area);
+            if (rows.length === 0) return null;
+            return (
+              <tbody key={area}>
+                <tr>
+                  <th colSpan={surfaces.length + 1} className={styles.area}>
+                    {area}
+                  </th>
+                </tr>
+                {rows.map((operation) => (
+                  <tr key={operation.id} id={operation.id}>
+                    <td>{operation.title}</td>
+                    {surfaces.map((surface) => (
+                      <td key={surface.id}>
+                        <MethodLinks methods={operation.methods[surface.id]} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            );
+          })}
+        </table>
+      </main>
+    </Layout>
+  );
+}
@@ -0,0 +1,157 @@
+// src/pages/feedback-report.js
+import React, { useEffect, useMemo, useState } from "react";
+import Layout from "@theme/Layout";
+import Heading from "@theme/Heading";
+import Link from "@docusaurus/Link";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { parseAccessPolicy } from "@site/src/auth/access";
+import useAuthenticatedFetch from "@site/src/auth/useAuthenticatedFetch";
+import { splitEndpoint } from "@site/src/components/PageFeedback/endpoint";
+import Protected from "@site/src/components/Protected";
+import styles from "./feedback-report.module.css";
+
+// One row per doc: its votes and comments across all versions, least helpful
+// first
+function summarize(submissions) {
+  const pages = new Map();
+  for (const submission of submissions) {
+    const key = `${submission.docsInstance}/${submission.pageId}`;
+    if (!pages.has(key)) {
+      pages.set(key, { key, docsInstance: submission.docsInstance, pageId: submission.pageId, helpful: 0, unhelpful: 0, comments: [] });
+    }
+    const page = pages.get(key);
+    // Submissions come oldest first, so the newest title and URL win
+    page.title = submission.title || submission.pageId;
+    page.permalink = submission.permalink;
+    if (submission.helpful) page.helpful++;
+    else page.unhelpful++;
+    if (submission.comment) page.comments.push(submission);
+  }
+  return [...pages.values()]
+    .map((page) => ({ ...page, score: page.helpful - page.unhelpful }))
+    .sort((a, b) => a.score - b.score || b.unhelpful - a.unhelpful);
+}
+
+function Comments({ comments }) {
+  if (comments.length === 0) return "—";
+  return (
+    <details>
+      <summary>
+        {comments.length} {comments.length === 1 ? "comment" : "comments"}
+      </summary>
+      <ul className={styles.comments}>
+        {comments
+          .slice()
+          .reverse()
+          .map((entry, i) => (
+            <li key={i}>
+              <span>{entry.helpful ? "👍" : "👎"}</span> {entry.comment}
+              <div className={styles.meta}>
+                {entry.version} · {entry.receivedAt ? new Date(entry.receivedAt).toLocaleString() : "—"}
+              </div>
+            </li>
+          ))}
+      </ul>
+    </details>
+  );
+}
+
+function FeedbackReport({ endpoint }) {
+  const { siteConfig } = useDocusaurusContext();
+  const sections = siteConfig.customFields?.docsSections ?? [];
+  const labels = Object.fromEntries(sections.map((section) => [section.id, section.label]));
+  const { baseUrl, path } = useMemo(() => splitEndpoint(endpoint), [endpoint]);
+  const { request, data, error, loading } = useAuthenticatedFetch(baseUrl);
+  const [docsInstance, setDocsInstance] = useState("");
+
+  useEffect(() => {
+    request(path).catch(() => {});
+  }, [request, path]);
+
+  const pages = useMemo(() => (Array.isArray(data) ? summarize(data) : []), [data]);
+  const shown = pages.filter((page) => !docsInstance || page.docsInstance === docsInstance);
+
+  if (error) {
+    return (
+      <div className="alert alert--danger" role="alert">
+        Feedback could not be loaded: {error.message}
+      </div>
+    );
+  }
+  if (loading || !data) return <p>Loading feedback…</p>;
+
+  return (
+    <>
+      <label className={styles.filter}>
+        Docs{" "}
+        <select value={docsInstance} onChange={(event) => setDocsInstance(event.target.value)}>
+          <option value="">All</option>
+          {sections.map((section) => (
+            <option key={section.id} value={section.id}>
+              {section.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {shown.length === 0 ? (
+        <p>No feedback yet.</p>
+      ) : (
+        <table className={styles.report}>
+          <thead>
+            <tr>
+              <th>Page</th>
+              <th>Docs</th>
+              <th>👍</th>
+              <th>👎</th>
+              <th>Score</th>
+              <th>Comments</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((page) => (
+              <tr key={page.key}>
+                <td>
+                  {/* Feedback can outlive the page it was given on */}
+                  <Link to={page.permalink} data-noBrokenLinkCheck>
+                    {page.title}
+                  </Link>
+                </td>
+                <td>{labels[page.docsInstance] ?? page.docsInstance}</td>
+                <td>{page.helpful}</td>
+                <td>{page.unhelpful}</td>
+                <td className={page.score < 0 ? styles.negative : undefined}>{page.score}</td>
+                <td>
+                  <Comments comments={page.comments} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
+
+export default function FeedbackReportPage() {
+  const { siteConfig } = useDocusaurusContext();
+  const { endpoint, reportAccess } = siteConfig.customFields?.feedback ?? {};
+  const access = parseAccessPolicy(reportAccess ?? "role:internal");
+
+  return (
+    <Layout title="Page feedback" description="Votes and comments from “Was this page helpful?”">
+      <main className="container margin-vert--lg">
+        <Heading as="h1">Page feedback</Heading>
+        <p>Votes and comments from the “Was this page helpful?” question under each doc, least helpful pages first.</p>
+        <Protected roles={access.roles} groups={access.groups}>
+          {endpoint ? (
+            <FeedbackReport endpoint={endpoint} />
+          ) : (
+            <div className="alert alert--info">
+              No feedback endpoint is configured. Set <code>FEEDBACK_ENDPOINT</code> when building the site.
+            </div>
+          )}
+        </Protected>
+      </main>
+    </Layout>
+  );
+}
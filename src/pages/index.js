@@ -1,8 +1,7 @@
 import clsx from 'clsx';
-import Link from '@docusaurus/Link';
 import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
 import Layout from '@theme/Layout';
-import HomepageFeatures from '@site/src/components/HomepageFeatures';
+import DocsOverview from '@site/src/components/DocsOverview';
 
 import Heading from '@theme/Heading';
 import styles from './index.module.css';
@@ -16,18 +15,6 @@ function HomepageHeader() {
           {siteConfig.title}
         </Heading>
         <p className="hero__subtitle">{siteConfig.tagline}</p>
-        {/* <div className={styles.buttons}>
-          <Link
-            className="button button--secondary button--lg"
-            to="/python-sdk/intro">
-            Python SDK
-          </Link>
-          <Link
-            className="button button--secondary button--lg"
-            to="/csharp-sdk/intro">
-            C# SDK
-          </Link>
-        </div> */}
       </div>
     </header>
   );
@@ -41,7 +28,7 @@ export default function Home() {
       description="Biosero Data Services API Documentation">
       <HomepageHeader />
       <main>
-        <HomepageFeatures />
+        <DocsOverview />
       </main>
     </Layout>
   );
@@ -1,26 +1,51 @@
 // src/pages/login.js
 import React from "react";
 import BrowserOnly from "@docusaurus/BrowserOnly";
+import useBaseUrl from "@docusaurus/useBaseUrl";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
 
 export default function LoginPage() {
+  const { siteConfig } = useDocusaurusContext();
   return (
     <BrowserOnly fallback={<p>Preparing sign-in…</p>}>
       {() => {
         const React = require("react");
-        const { useEffect } = React;
+        const { useEffect, useRef } = React;
         const { useAuth } = require("@site/src/auth/AuthProvider");
+        const { navigateToReturnTo } = require("@site/src/auth/navigation");
 
         function LoginClient() {
           const { isAuthenticated, login, ready } = useAuth();
+          const redirectImg = useBaseUrl("/img/redirect.png");
+          // Browsers block popups that are not opened from a click, so popup
+          // sign-in waits for the reader, like <Protected>
+          const usePopup = siteConfig.customFields?.auth?.interaction === "popup";
+          const signIn = () => {
+            const returnTo = new URLSearchParams(window.location.search).get("returnTo") ?? undefined;
+            login({ returnTo });
+          };
+          // The provider makes a new login on every render, so the effect
+          // reads the latest one instead of starting again each time
+          const signInRef = useRef(signIn);
+          signInRef.current = signIn;
           useEffect(() => {
             if (!ready) return;
-            if (!isAuthenticated) login();
-            else {
-              const returnTo = sessionStorage.getItem("returnTo") || "/biosero-api-docs/";
-              sessionStorage.removeItem("returnTo");
-              window.location.replace(returnTo);
+            if (isAuthenticated) {
+              navigateToReturnTo(siteConfig.baseUrl);
+            } else if (!usePopup) {
+              signInRef.current();
             }
-          }, [isAuthenticated, login, ready]);
+          }, [isAuthenticated, ready, usePopup]);
+          if (ready && !isAuthenticated && usePopup) {
+            return (
+              <div className="alert alert--info margin-vert--lg">
+                <p>Sign in to continue.</p>
+                <button className="button button--primary" type="button" onClick={signIn}>
+                  Sign in
+                </button>
+              </div>
+            );
+          }
           return (
             <div style={{
               display: 'flex',
@@ -32,7 +57,7 @@ export default function LoginPage() {
               padding: '2rem'
             }}>
               <img 
-                src="/biosero-api-docs/img/redirect.png"
+                src={redirectImg}
                 alt="Redirecting to sign in" 
                 style={{
                   maxWidth: '300px',
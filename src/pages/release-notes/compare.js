@@ -0,0 +1,153 @@
+// src/pages/release-notes/compare.js
+import React, { useState } from "react";
+import Layout from "@theme/Layout";
+import Heading from "@theme/Heading";
+import Link from "@docusaurus/Link";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import releaseNotes from "@generated/release-notes/default/release-notes.json";
+import { useAuth } from "@site/src/auth/AuthProvider";
+import { canAccess, parseAccessPolicy } from "@site/src/auth/access";
+import styles from "./styles.module.css";
+
+// Only components with at least one known version can be compared
+const components = releaseNotes.components.filter((component) => component.versions.length > 0);
+
+// Same order as compareVersions in plugins/release-notes
+function compareVersions(a, b) {
+  const left = a.split(".").map(Number);
+  const right = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] ?? 0) - (right[i] ?? 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+// Versions after `from` (or from the start, for "") up to and including `to`
+const inRange = (version, from, to) =>
+  version !== undefined && (from === "" || compareVersions(version, from) > 0) && compareVersions(version, to) <= 0;
+
+function Changes({ component, from, to }) {
+  const { account } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const claimNames = siteConfig.customFields?.auth?.claims;
+  const since = component.since.filter((entry) => inRange(entry.version, from, to));
+  // Headings and release notes the reader cannot open are counted, not listed
+  const visible = since.filter((entry) => canAccess(account, parseAccessPolicy(entry.access), claimNames));
+  const notesAllowed = canAccess(account, parseAccessPolicy(component.access), claimNames);
+  const posts = component.posts.filter((post) => inRange(post.version, from, to));
+  const hidden = since.length - visible.length + (notesAllowed ? 0 : posts.length);
+  const versions = component.versions.filter((version) => inRange(version, from, to)).reverse();
+
+  const sections = versions
+    .map((version) => ({
+      version,
+      posts: notesAllowed ? posts.filter((post) => post.version === version) : [],
+      added: visible.filter((entry) => entry.version === version),
+    }))
+    .filter((section) => section.posts.length > 0 || section.added.length > 0);
+
+  return (
+    <>
+      {sections.length === 0 && <p className={styles.empty}>Nothing is recorded for these versions.</p>}
+      {sections.map((section) => (
+        <section key={section.version} className="margin-bottom--lg">
+          <Heading as="h2">{section.version}</Heading>
+          {section.posts.map((post) => (
+            <p key={post.url}>
+              <Link to={post.url}>{post.title}</Link>
+            </p>
+          ))}
+          {section.added.length > 0 && (
+            <ul>
+              {section.added.map((entry) => (
+                <li key={entry.url}>
+                  {/* Not link-checked: protected pages render no headings at build time */}
+                  <Link to={entry.url} data-noBrokenLinkCheck>
+                    <code>{entry.heading}</code>
+                  </Link>{" "}
+                  <span className={styles.meta}>{entry.page}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      ))}
+      {hidden > 0 && (
+        <p className={styles.empty}>
+          {hidden} more {hidden === 1 ? "change is" : "changes are"} on pages you cannot open.
+        </p>
+      )}
+    </>
+  );
+}
+
+export default function CompareReleasesPage() {
+  const [componentId, setComponentId] = useState(components[0]?.id);
+  const component = components.find((candidate) => candidate.id === componentId);
+  const versions = component?.versions ?? [];
+  const [range, setRange] = useState({});
+  // Defaults to the newest release and the one before it
+  const to = versions.includes(range.to) ? range.to : versions[versions.length - 1];
+  const from = range.from === "" || (range.from && compareVersions(range.from, to) < 0) ? range.from : versions[versions.indexOf(to) - 1] ?? "";
+
+  return (
+    <Layout title="Compare releases" description="Everything that changed between two versions of an SDK or component">
+      <main className="container margin-vert--lg">
+        <Heading as="h1">Compare releases</Heading>
+        <p>
+          Release notes and methods marked <strong>New in</strong> between two versions. See all{" "}
+          <Link to="/release-notes">release notes</Link>.
+        </p>
+        {!component ? (
+          <p className={styles.empty}>No versions are known yet.</p>
+        ) : (
+          <>
+            <div className={styles.controls}>
+              <label>
+                Component{" "}
+                <select
+                  value={componentId}
+                  onChange={(event) => {
+                    setComponentId(event.target.value);
+                    setRange({});
+                  }}
+                >
+                  {components.map((candidate) => (
+                    <option key={candidate.id} value={candidate.id}>
+                      {candidate.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                From{" "}
+                <select value={from} onChange={(event) => setRange({ ...range, from: event.target.value })}>
+                  <option value="">the start</option>
+                  {versions
+                    .filter((version) => compareVersions(version, to) < 0)
+                    .map((version) => (
+                      <option key={version} value={version}>
+                        {version}
+                      </option>
+                    ))}
+                </select>
+              </label>
+              <label>
+                To{" "}
+                <select value={to} onChange={(event) => setRange({ ...range, to: event.target.value })}>
+                  {versions.map((version) => (
+                    <option key={version} value={version}>
+                      {version}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <Changes component={component} from={from} to={to} />
+          </>
+        )}
+      </main>
+    </Layout>
+  );
+}
@@ -0,0 +1,81 @@
+// src/pages/release-notes/index.js
+import React from "react";
+import clsx from "clsx";
+import Layout from "@theme/Layout";
+import Heading from "@theme/Heading";
+import Link from "@docusaurus/Link";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { useAuth } from "@site/src/auth/AuthProvider";
+import { canAccess, describeAccess, parseAccessPolicy } from "@site/src/auth/access";
+import releaseNotes from "@generated/release-notes/default/release-notes.json";
+import styles from "./styles.module.css";
+
+const { components } = releaseNotes;
+const groups = [...new Set(components.map((component) => component.group))];
+
+// Fixed locale and time zone, so the server-rendered dates match the browser's
+const dateFormat = new Intl.DateTimeFormat("en", { dateStyle: "medium", timeZone: "UTC" });
+
+function ComponentNotes({ component }) {
+  const { account } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const access = parseAccessPolicy(component.access);
+  const allowed = canAccess(account, access, siteConfig.customFields?.auth?.claims);
+  return (
+    <div className={clsx("card", styles.card)}>
+      <div className="card__header">
+        <Heading as="h3" className="margin-bottom--none">
+          {component.url ? <Link to={component.url}>{component.label}</Link> : component.label}
+        </Heading>
+        <div className={styles.meta}>
+          {component.currentVersion && <span>Current: v{component.currentVersion}</span>}
+          {/* Feeds are files, not routes, so the link checker cannot see them */}
+          {component.feeds && <Link to={`pathname://${component.feeds.rss}`}>RSS</Link>}
+          {component.feeds && <Link to={`pathname://${component.feeds.atom}`}>Atom</Link>}
+        </div>
+      </div>
+      <div className="card__body">
+        {component.posts.length === 0 ? (
+          <p className={styles.empty}>No release notes yet.</p>
+        ) : !allowed ? (
+          <p className={styles.empty}>For signed-in readers ({describeAccess(access)}).</p>
+        ) : (
+          <ul className={styles.posts}>
+            {component.posts.map((post) => (
+              <li key={post.url}>
+                <Link to={post.url}>{post.title}</Link>
+                <span className={styles.meta}>{dateFormat.format(new Date(post.date))}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function ReleaseNotesPage() {
+  return (
+    <Layout title="Release notes" description="What changed in each release of the SDKs and Orchestrator components">
+      <main className="container margin-vert--lg">
+        <Heading as="h1">Release notes</Heading>
+        <p>
+          What changed in each release, with an RSS and Atom feed per public component.{" "}
+          <Link to="/release-notes/compare">Compare two versions</Link> to see every method added in between.
+        </p>
+        {groups.map((group) => (
+          <section key={group} className="margin-bottom--lg">
+            <Heading as="h2">{group}</Heading>
+            <div className={styles.grid}>
+              {components
+                .filter((component) => component.group === group)
+                .map((component) => (
+                  <ComponentNotes key={component.id} component={component} />
+                ))}
+            </div>
+          </section>
+        ))}
+      </main>
+    </Layout>
+  );
+}
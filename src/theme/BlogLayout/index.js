@@ -0,0 +1,30 @@
+// src/theme/BlogLayout/index.js
+import React from "react";
+import BlogLayout from "@theme-original/BlogLayout";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import useRouteContext from "@docusaurus/useRouteContext";
+import { resolveDocAccess } from "@site/src/auth/access";
+import Protected from "@site/src/components/Protected";
+
+// Release notes share the access policy of their docs instance, see
+// releaseNotesPluginId in plugins/release-notes. The sidebar of post titles
+// stays visible, like the sidebar of a protected doc.
+export default function BlogLayoutWrapper({ children, ...props }) {
+  const { siteConfig } = useDocusaurusContext();
+  const { plugin } = useRouteContext();
+  const sections = siteConfig.customFields?.docsSections ?? [];
+  const section = sections.find((candidate) => plugin.id === `${candidate.id}-release-notes`);
+  const access = resolveDocAccess(sections, section?.id);
+
+  return (
+    <BlogLayout {...props}>
+      {access.public ? (
+        children
+      ) : (
+        <Protected roles={access.roles} groups={access.groups}>
+          {children}
+        </Protected>
+      )}
+    </BlogLayout>
+  );
+}
@@ -0,0 +1,14 @@
+// src/theme/DocItem/Footer/index.js
+import React from "react";
+import Footer from "@theme-original/DocItem/Footer";
+import PageFeedback from "@site/src/components/PageFeedback";
+
+// Asks for page feedback under the edit link and last-updated line of every doc.
+export default function FooterWrapper(props) {
+  return (
+    <>
+      <Footer {...props} />
+      <PageFeedback />
+    </>
+  );
+}
@@ -0,0 +1,26 @@
+// src/theme/DocItem/Layout/index.js
+import React from "react";
+import Layout from "@theme-original/DocItem/Layout";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import { useActivePlugin, useDoc } from "@docusaurus/plugin-content-docs/client";
+import { resolveDocAccess } from "@site/src/auth/access";
+import Protected from "@site/src/components/Protected";
+
+// Applies the docs plugin access policy from `customFields.docsSections`, or the
+// doc's own `access` frontmatter, to every doc page.
+export default function LayoutWrapper(props) {
+  const { siteConfig } = useDocusaurusContext();
+  const { frontMatter } = useDoc();
+  const { pluginId } = useActivePlugin();
+  const access = resolveDocAccess(siteConfig.customFields?.docsSections, pluginId, frontMatter);
+
+  if (access.public) {
+    return <Layout {...props} />;
+  }
+
+  return (
+    <Protected roles={access.roles} groups={access.groups}>
+      <Layout {...props} />
+    </Protected>
+  );
+}
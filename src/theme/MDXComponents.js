@@ -0,0 +1,12 @@
+// src/theme/MDXComponents.js
+import MDXComponents from "@theme-original/MDXComponents";
+import MethodEquivalents from "@site/src/components/MethodEquivalents";
+import Since from "@site/src/components/Since";
+
+// Components that remark plugins insert into docs, which cannot import them,
+// and badges used in headings across every docs instance
+export default {
+  ...MDXComponents,
+  MethodEquivalents,
+  Since,
+};
@@ -6,8 +6,8 @@ import HtmlNavbarItem from '@theme/NavbarItem/HtmlNavbarItem';
 import DocNavbarItem from '@theme/NavbarItem/DocNavbarItem';
 import DocSidebarNavbarItem from '@theme/NavbarItem/DocSidebarNavbarItem';
 import DocsVersionNavbarItem from '@theme/NavbarItem/DocsVersionNavbarItem';
-import DocsVersionDropdownNavbarItem from '@theme/NavbarItem/DocsVersionDropdownNavbarItem';
 import AuthNavbarItems from '@site/src/components/AuthNavbarItems';
+import ActiveDocsVersionDropdown from '@site/src/components/ActiveDocsVersionDropdown';
 
 const ComponentTypes = {
   default: DefaultNavbarItem,
@@ -18,7 +18,7 @@ const ComponentTypes = {
   doc: DocNavbarItem,
   docSidebar: DocSidebarNavbarItem,
   docsVersion: DocsVersionNavbarItem,
-  docsVersionDropdown: DocsVersionDropdownNavbarItem,
+  docsVersionDropdown: ActiveDocsVersionDropdown,
   'custom-AuthNavbarItems': AuthNavbarItems,
 };
 export default ComponentTypes;
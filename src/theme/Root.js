@@ -1,7 +1,13 @@
 // src/theme/Root.js
 import React from "react";
 import { AuthProvider } from "@site/src/auth/AuthProvider";
+import SessionExpiryBanner from "@site/src/components/SessionExpiryBanner";
 
 export default function Root({ children }) {
-  return <AuthProvider>{children}</AuthProvider>;
+  return (
+    <AuthProvider>
+      {children}
+      <SessionExpiryBanner />
+    </AuthProvider>
+  );
 }
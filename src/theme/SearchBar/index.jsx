@@ -0,0 +1,220 @@
+// src/theme/SearchBar/index.jsx
+import React, { useEffect, useId, useMemo, useRef, useState } from "react";
+import clsx from "clsx";
+import Link from "@docusaurus/Link";
+import { useHistory } from "@docusaurus/router";
+import useDocusaurusContext from "@docusaurus/useDocusaurusContext";
+import searchChunks from "@generated/search-index/default/chunks";
+import { useAuth } from "@site/src/auth/AuthProvider";
+import { canAccess, parseAccessPolicy } from "@site/src/auth/access";
+import { buildIndex, search, snippet } from "./search";
+import styles from "./styles.module.css";
+
+// Chunks already fetched, shared by every mount of the search bar
+const loadedChunks = new Map();
+
+function loadChunk(chunk) {
+  if (!loadedChunks.has(chunk.access)) {
+    loadedChunks.set(chunk.access, chunk.load().then((module) => module.default));
+  }
+  return loadedChunks.get(chunk.access);
+}
+
+// The index chunks this reader may search: the public one for everybody,
+// protected ones only once the account passes their policy
+function useSearchIndex(open) {
+  const { account } = useAuth();
+  const { siteConfig } = useDocusaurusContext();
+  const claimNames = siteConfig.customFields?.auth?.claims;
+  const [index, setIndex] = useState(null);
+  const allowed = searchChunks.filter((chunk) => canAccess(account, parseAccessPolicy(chunk.access), claimNames));
+  // Reloads only when the set of chunks changes, not on every account update
+  const key = allowed.map((chunk) => chunk.access).join(" ");
+
+  // Never keep showing results from chunks the reader just lost access to
+  useEffect(() => setIndex(null), [key]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    Promise.all(allowed.map(loadChunk)).then(
+      (documents) => !cancelled && setIndex(buildIndex(documents.flat())),
+      (error) => console.error("Could not load the search index:", error)
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [open, key]);
+
+  return index;
+}
+
+function isTyping(target) {
+  return target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+}
+
+function Snippet({ text, query }) {
+  return snippet(text, query).map((part, i) => (part.match ? <mark key={i}>{part.text}</mark> : part.text));
+}
+
+/**
+ * Offline search over the index built by plugins/search-index. Ctrl+K, ⌘K or
+ * "/" focuses it; arrow keys pick a result and Enter opens it.
+ */
+export default function SearchBar() {
+  const { siteConfig } = useDocusaurusContext();
+  const sections = siteConfig.customFields?.docsSections ?? [];
+  const history = useHistory();
+  const inputRef = useRef(null);
+  const listId = useId();
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState([]);
+  const [active, setActive] = useState(0);
+  const index = useSearchIndex(open);
+
+  const { results, counts } = useMemo(
+    () => (index ? search(index, query, { sections: filters }) : { results: [], counts: {} }),
+    [index, query, filters]
+  );
+  const groups = [...new Set(sections.map((section) => section.group))].map((group) => ({
+    group,
+    sections: sections.filter((section) => section.group === group && counts[section.id]),
+  }));
+  const labels = Object.fromEntries(sections.map((section) => [section.id, section.label]));
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      const shortcut = (event.key === "k" && (event.ctrlKey || event.metaKey)) || (event.key === "/" && !isTyping(event.target));
+      if (!shortcut) return;
+      event.preventDefault();
+      inputRef.current?.focus();
+    };
+    document.addEventListener("keydown", onKeyDown);
+    return () => document.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  useEffect(() => setActive(0), [query, filters]);
+
+  useEffect(() => {
+    document.getElementById(`${listId}-${active}`)?.scrollIntoView({ block: "nearest" });
+  }, [listId, active]);
+
+  const close = () => {
+    setOpen(false);
+    inputRef.current?.blur();
+  };
+
+  const openResult = (result) => {
+    close();
+    setQuery("");
+    history.push(result.url);
+  };
+
+  const onKeyDown = (event) => {
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault();
+        setActive((i) => Math.min(i + 1, results.length - 1));
+        break;
+      case "ArrowUp":
+        event.preventDefault();
+        setActive((i) => Math.max(i - 1, 0));
+        break;
+      case "Enter":
+        if (results[active]) {
+          event.preventDefault();
+          openResult(results[active]);
+        }
+        break;
+      case "Escape":
+        close();
+        break;
+      default:
+    }
+  };
+
+  const toggleFilter = (id) =>
+    setFilters((current) => (current.includes(id) ? current.filter((value) => value !== id) : [...current, id]));
+
+  const showPanel = open && query.trim() !== "";
+
+  return (
+    <div
+      className={styles.search}
+      onFocus={() => setOpen(true)}
+      onBlur={(event) => !event.currentTarget.contains(event.relatedTarget) && setOpen(false)}
+    >
+      <input
+        ref={inputRef}
+        className={clsx("navbar__search-input", styles.input)}
+        type="search"
+        placeholder="Search docs"
+        aria-label="Search docs"
+        role="combobox"
+        aria-expanded={showPanel}
+        aria-controls={listId}
+        aria-activedescendant={showPanel && results[active] ? `${listId}-${active}` : undefined}
+        value={query}
+        onChange={(event) => setQuery(event.target.value)}
+        onKeyDown={onKeyDown}
+      />
+      <kbd className={styles.shortcut}>Ctrl K</kbd>
+      {showPanel && (
+        <div className={clsx("shadow--md", styles.panel)}>
+          {groups
+            .filter(({ sections: matched }) => matched.length > 0)
+            .map(({ group, sections: matched }) => (
+              <div key={group} className={styles.facets} role="group" aria-label={`Filter by ${group}`}>
+                <span className={styles.facetGroup}>{group}</span>
+                {matched.map((section) => (
+                  <button
+                    key={section.id}
+                    type="button"
+                    className={clsx("badge", filters.includes(section.id) ? "badge--primary" : "badge--secondary", styles.facet)}
+                    aria-pressed={filters.includes(section.id)}
+                    onClick={() => toggleFilter(section.id)}
+                  >
+                    {section.label} ({counts[section.id]})
+                  </button>
+                ))}
+              </div>
+            ))}
+          <ul id={listId} className={styles.results} role="listbox" aria-label="Search results">
+            {!index && <li className={styles.empty}>Loading the search index…</li>}
+            {index && results.length === 0 && <li className={styles.empty}>No results for “{query.trim()}”.</li>}
+            {results.map((result, i) => (
+              <li
+                key={result.url}
+                id={`${listId}-${i}`}
+                role="option"
+                aria-selected={i === active}
+                className={clsx(styles.result, i === active && styles.active)}
+                onMouseEnter={() => setActive(i)}
+              >
+                <Link
+                  to={result.url}
+                  tabIndex={-1}
+                  onClick={() => {
+                    close();
+                    setQuery("");
+                  }}
+                >
+                  <span className={styles.crumbs}>
+                    {labels[result.section]} › {result.title}
+                  </span>
+                  <strong className={styles.heading}>{result.heading || result.title}</strong>
+                  {result.text && (
+                    <span className={styles.snippet}>
+                      <Snippet text={result.text} query={query} />
+                    </span>
+                  )}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+// src/theme/SearchBar/search.js
+//
+// Ranking over the documents written by plugins/search-index. Identifiers are
+// indexed whole and by their parts, so `get_net_volume` is found by
+// "get_net_volume", "net volume" or, while typing, "get_ne", and a method is
+// ranked above pages that only mention its words.
+
+const WORD = /[A-Za-z0-9_]+/g;
+const MAX_COMPLETIONS = 30;
+const SNIPPET_LENGTH = 180;
+
+// How much a match in each place counts, for a whole word and for a prefix
+const WEIGHTS = {
+  symbol: [12, 6],
+  heading: [6, 3],
+  title: [4, 2],
+  text: [1, 0.5],
+};
+
+// "GetIdentityAsync" -> getidentityasync, get, identity, async
+function words(value) {
+  const result = [];
+  for (const [word] of String(value).matchAll(WORD)) {
+    const lower = word.toLowerCase();
+    result.push(lower);
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+      .split(/[\s_]+/)
+      .filter(Boolean);
+    if (parts.length > 1) result.push(...parts.map((part) => part.toLowerCase()));
+  }
+  return result;
+}
+
+function countWords(value) {
+  const counts = new Map();
+  for (const word of words(value)) counts.set(word, (counts.get(word) ?? 0) + 1);
+  return counts;
+}
+
+/** Prepares loaded documents for searching. */
+export function buildIndex(documents) {
+  const vocabulary = new Set();
+  const entries = documents.map((doc) => {
+    const fields = {
+      symbol: new Set(doc.symbols.flatMap((symbol) => [symbol, ...words(symbol)])),
+      heading: new Set(words(doc.heading)),
+      title: new Set(words(doc.title)),
+      text: countWords(`${doc.text} ${doc.code}`),
+    };
+    for (const field of Object.values(fields)) for (const word of field.keys()) vocabulary.add(word);
+    return { doc, fields };
+  });
+  return { entries, vocabulary: [...vocabulary].sort() };
+}
+
+/**
+ * Query words. A call such as `client.get_net_volume(identifier)` is searched
+ * as the name being called, not its arguments.
+ */
+export function queryTerms(query) {
+  const callee = query.trim().replace(/\(.*$/s, "");
+  return [...new Set(String(callee).match(WORD)?.map((word) => word.toLowerCase()) ?? [])];
+}
+
+function completions(vocabulary, term) {
+  const result = [];
+  let low = 0;
+  let high = vocabulary.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (vocabulary[mid] < term) low = mid + 1;
+    else high = mid;
+  }
+  for (let i = low; i < vocabulary.length && result.length < MAX_COMPLETIONS; i++) {
+    if (!vocabulary[i].startsWith(term)) break;
+    if (vocabulary[i] !== term) result.push(vocabulary[i]);
+  }
+  return result;
+}
+
+function termScore(fields, term, prefixes) {
+  let best = 0;
+  for (const [name, [whole, prefix]] of Object.entries(WEIGHTS)) {
+    const field = fields[name];
+    if (field.has(term)) {
+      const repeats = name === "text" ? Math.log2(field.get(term)) : 0;
+      best = Math.max(best, whole + repeats);
+    } else if (prefixes.some((word) => field.has(word))) {
+      best = Math.max(best, prefix);
+    }
+  }
+  return best;
+}
+
+/**
+ * Documents matching every query word, best first.
+ * @param {{ sections?: string[], limit?: number }} options
+ *   `sections` limits results to those docs instances; empty means all.
+ * @returns {{ results: object[], counts: Record<string, number> }}
+ *   `counts` has the number of matches per docs instance, before filtering.
+ */
+export function search(index, query, { sections = [], limit = 20 } = {}) {
+  const terms = queryTerms(query);
+  if (terms.length === 0) return { results: [], counts: {} };
+  // Only the word being typed can be unfinished
+  const prefixes = terms.map((term, i) => (i === terms.length - 1 && term.length >= 2 ? completions(index.vocabulary, term) : []));
+  const phrase = query.trim().toLowerCase();
+
+  const counts = {};
+  const matches = [];
+  for (const { doc, fields } of index.entries) {
+    let score = 0;
+    for (const [i, term] of terms.entries()) {
+      const value = termScore(fields, term, prefixes[i]);
+      if (value === 0) {
+        score = 0;
+        break;
+      }
+      score += value;
+    }
+    if (score === 0) continue;
+    if (doc.heading.toLowerCase().includes(phrase)) score += 5;
+    counts[doc.section] = (counts[doc.section] ?? 0) + 1;
+    if (sections.length === 0 || sections.includes(doc.section)) matches.push({ doc, score });
+  }
+
+  matches.sort((a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title));
+  return { results: matches.slice(0, limit).map(({ doc }) => doc), counts };
+}
+
+/**
+ * A piece of `text` around the first query word it contains, split into
+ * `{ text, match }` parts for highlighting.
+ */
+export function snippet(text, query) {
+  const terms = queryTerms(query).filter((term) => term.length > 1);
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map((term) => lower.indexOf(term)).filter((i) => i >= 0));
+  const start = Number.isFinite(first) ? Math.max(0, text.lastIndexOf(" ", Math.max(0, first - 40)) + 1) : 0;
+  let excerpt = text.slice(start, start + SNIPPET_LENGTH);
+  if (start > 0) excerpt = `…${excerpt}`;
+  if (start + SNIPPET_LENGTH < text.length) excerpt = `${excerpt}…`;
+  if (terms.length === 0) return [{ text: excerpt, match: false }];
+
+  const pattern = new RegExp(`(${terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`, "gi");
+  return excerpt
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}
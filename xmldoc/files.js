@@ -0,0 +1,6 @@
+// @ts-check
+// .NET XML documentation files the C# API reference is generated from, by
+// plugins/xmldoc-docs into docs/CSharp SDK/api. Relative to the site
+// directory; read by docusaurus.config.js and sidebars-csharp.js.
+
+export const xmlDocFiles = ['xmldoc/Biosero.DataServices.Client.xml', 'xmldoc/Biosero.DataModels.xml'];